@@ -1,4 +1,17 @@
-import React, { useEffect, useMemo, useRef, useState, useLayoutEffect } from "react";
+import React, { forwardRef, useEffect, useId, useImperativeHandle, useMemo, useRef, useState, useLayoutEffect } from "react";
+import {
+  addDays, addHours, addMonths, addWorkingTime, calendarOf, DAY_MS, fmtDateTime, HOUR_MS, LOCAL_ZONE, makeZone,
+  MIN_TASK_MS, MINUTE_MS, nextWorkingTime, nonWorkingBands, pad2, parseDayString, parseISOWeekString,
+  prevWorkingTime, startOfDay, startOfISOWeek, startOfMonth, startOfQuarter, toDayString, toISOWeekString,
+  workingTimeBetween, workWeekOf
+} from "./time.js";
+import { compileFilter } from "./filter.js";
+import {
+  colorFor, csvToTasks, DEFAULT_PALETTE, exportTaskData, icsToTasks, normalizeTask, resourceHash, xmlEscape
+} from "./interchange.js";
+import {
+  computeCriticalPath, criticalPathResult, findConflicts, isDependencyViolated, NO_CONFLICTS, scheduleSuccessors
+} from "./scheduling.js";
 
 /**
  * RobustGantt.jsx — API‑ready Gantt with overlap lanes, snap, 5‑min grid & drag tooltip
@@ -12,87 +25,386 @@ import React, { useEffect, useMemo, useRef, useState, useLayoutEffect } from "re
  * - ✅ NEW: Container‑level hit‑testing selects the bar whose vertical center is nearest to the cursor
  *        (even when bars overlap), so you can always grab the lower/shifted bar.
  * - ✅ Edge resize handles preserved; single scrollbar on bars; timeline follows via transform.
- * - ✅ Snap dropdown adapts to Hour/Week/Month; 5‑min grid for 4/6 hours presets; drag tooltip.
+ * - ✅ Snap dropdown adapts to the zoom level; drag tooltip.
+ * - ✅ Drops commit real start/end Dates: uncontrolled → internal state, controlled (tasks prop) →
+ *        onTasksChange(nextTask, prevTask, { mode, snapMs }) and the host updates `tasks`.
+ * - ✅ One continuous time axis: absolute [start, end] + px per ms. View/preset are zoom shortcuts,
+ *        Ctrl+wheel zooms around the cursor, scrolling near an edge re-centres (extends) the range,
+ *        and the header picks its tiers (minutes → hours → days → weeks → months → quarters) from the zoom.
+ * - ✅ Virtualized body: only rows and bars near the viewport are in the DOM; hit‑testing runs on the
+ *        computed row/lane geometry instead of live DOM rects.
+ * - ✅ Move drags follow the pointer vertically: dropping on another row reassigns `resourceId`
+ *        (target row highlighted; the host can veto via canReassignTask(task, toResource, fromResource)).
+ * - ✅ Task dependencies (`dependencies: [{ predecessorId, type: 'FS'|'SS'|'FF'|'SF', lag }]`, lag in ms) drawn as
+ *        routed arrows; drag from a bar's end handle onto another bar to link, click an arrow + Delete to unlink.
+ *        Arrows whose constraint is not met by the current dates turn red.
+ * - ✅ Scheduling: after a drop or a new link, successors are pushed (dependency type, lag, resource
+ *        `calendar`) or, in "warn only" mode, just reported. Cycles are reported, never followed. Every edit
+ *        reaches onTasksChange as one batch: change.changes = [{ next, prev }, ...] (the edited task first).
+ * - ✅ Critical path: forward/backward pass over all tasks (early/late start + finish, total float). Critical
+ *        bars get a red ring, the hovered bar shows its float; onCriticalPathChange(result) gets the numbers.
+ * - ✅ Resource capacity (`resource.capacity`, concurrent tasks, default 1): over-allocated bars are hatched, the
+ *        left table counts conflicts, bars beyond maxLanes get a "+N hidden" badge, and
+ *        onConflictsChange([{ resourceId, taskIds: [a, b], start, end }]) lists every conflicting pair.
+ * - ✅ Load histogram (Load: Rows / Footer): allocated vs. available hours per header bucket, per resource under
+ *        each row or summed in a footer that follows the bars' horizontal scroll like the timeline.
+ * - ✅ Working calendars: `calendar` prop (working week, daily hours, holidays, dated exceptions) refined per
+ *        resource by `resource.calendar` (vacation, part time). Non-working time is shaded in the header and per
+ *        row, 'Work Week' follows the working days, and "Working time" snapping skips nights/weekends/holidays.
+ * - ✅ `timeZone` (IANA name, default: the browser's) drives day/week/month boundaries, labels, snapping and
+ *        calendars, so DST days are 23/25 hours long; `secondaryTimeZone` adds a header row with its clock.
+ * - ✅ Undo/redo: every batch of chart edits is one history step (Ctrl+Z / Ctrl+Shift+Z or Ctrl+Y while focus is
+ *        in the chart, toolbar buttons). Undo/redo re-emit the inverse/original batch through onTasksChange (mode
+ *        'undo' / 'redo'). A change with prev = null is a creation, next = null a deletion. `tasks` the host
+ *        replaces with anything but the chart's own edits start a fresh history.
+ * - ✅ Drag on empty row space paints a new task (snapped, with the drag tooltip). onTaskCreate(resourceId, start, end)
+ *        may return (or resolve to) the persisted task (without an id it gets a generated one), or false / a
+ *        rejection to cancel; no hook = local task.
+ * - ✅ Selection: click a bar, Shift/Ctrl-click to toggle, Shift/Ctrl-drag on empty space for a rubber band, Esc to
+ *        clear. Dragging a selected bar moves/resizes the whole selection (each bar snapped on its own) as one
+ *        batch; onSelectionChange(ids) follows the selection.
+ * - ✅ Keyboard + screen readers: the chart is an ARIA grid (one row per resource, bars are cells) with a roving
+ *        tab stop. ←/→ move and Shift+←/→ resize by the snap step, ↑/↓ / Ctrl+←/→ / Home / End move focus,
+ *        Space selects, Enter calls onTaskActivate(task), Delete calls onTaskDelete(tasks) (false cancels).
+ *        Every applied change is announced through a live region.
+ * - ✅ Pointer Events for mouse, pen and touch (pointer capture keeps drags alive outside the chart). On touch a
+ *        long press grabs a bar or paints a task, a tap selects, a plain swipe scrolls; resize grips are wider
+ *        for fingers, and a two-finger pinch zooms the time scale.
+ * - ✅ Export (toolbar, or ref.exportChart('svg' | 'png' | 'pdf') → Blob): the whole range and every row with header,
+ *        resource column, bars, lanes and arrows, rendered offline from the chart's geometry. PDFs are paginated
+ *        (A4 landscape) and repeat the header and resource column on every page; each page is rasterized from its
+ *        own viewport at full resolution, as are the tiles of a PNG too large for one canvas (then → Blob[]).
+ *        onExport(blob, { format, filename }) receives toolbar exports (one call per tile) instead of the download.
+ * - ✅ Data interchange (./interchange.js): tasksToICS / icsToTasks (VEVENTs; resources as ATTENDEE + CATEGORIES,
+ *        RRULE/RDATE/EXDATE expanded within a range) and tasksToCSV / csvToTasks (configurable column mapping), also as
+ *        ref.exportData(format) and ref.importData(format, text) (one undoable batch); ref.exportData() without a
+ *        format returns a { tasks, resources } snapshot. Imports return { tasks, errors }; rows with invalid dates or unknown resources are skipped with a line-numbered error.
+ * - ✅ Microsoft Project XML: msProjectToGantt(xml) → { resources, tasks, calendar, project, errors } (assignments as
+ *        bars, links, project/resource calendars, baselines) and ganttToMSProject(tasks, resources, { project })
+ *        or ref.exportData('msproject', { project }) writing the edits back with the original UIDs and outline.
+ * - ✅ Resource tree: `resource.parentId` nests a row under another resource, `resource.group` (a name or a path of
+ *        names) under synthetic group rows. ▸/▾ collapses a group into one summary row (groupSummary 'bars': rolled-up
+ *        bars, 'density': a band shaded by concurrent tasks per capacity). Open groups: `expandedGroups` +
+ *        onExpandedGroupsChange(ids) for the host, else internal (initialExpandedGroups, default all open).
+ * - ✅ Resource columns: `columns` (accessor, header, render, format, width, align; 'name' / 'tasks' / 'load' are
+ *        built in). Drag the splitter or a header edge to resize, drag a header (or Alt+←/→) to reorder, click it to
+ *        sort (within each group). { order, widths, sort, gridWidth }: initialColumnLayout / onColumnLayoutChange.
+ * - ✅ Filter bar: words search task titles and resource names, `field:value` / `field>n` / `-field:value` tokens
+ *        and a structured `filter` ({ query, task, resource, predicate }) filter on any field. Other bars are dimmed or
+ *        hidden (lanes close up), "Rows with matches" drops the rest. `filter` + onFilterChange, else initialFilter.
+ * - ✅ Ref API: scrollToTask(id) (opens collapsed groups), scrollToDate(date), setView(view, preset),
+ *        setRange({ start, end }), select(ids), getVisibleRange(), getTaskGeometry(id), exportChart / exportData /
+ *        importData. onViewChange({ view, preset }), onRangeChange({ start, end }) (once scrolling settles) and
+ *        onScroll({ scrollLeft, scrollTop }) report the chart's own navigation.
+ * - ✅ Render slots: renderBar({ task, resource, lane, label, color, geometry, state }) for the bar body,
+ *        renderTooltip(info) for the hover chip (kind 'hover', with the bar's lane, geometry and state) and the drag
+ *        tooltip (kind 'drag'), renderResourceCell({ resource, row, group, rollup, stats, state }) and
+ *        renderEmptyRow({ resource, row, stats, state }).
  */
 
-export default function RobustGantt({
+const RobustGantt = forwardRef(function RobustGantt({
   resources: resourcesProp,
   tasks: tasksProp,
   initialView = 'hour',
   initialPreset,
   initialMonth,
+  initialDay,
   palette = DEFAULT_PALETTE,
   onTasksChange,
-}){
+  canReassignTask,
+  initialScheduleMode = 'push',
+  onScheduleReport,
+  onCriticalPathChange,
+  onConflictsChange,
+  initialLoadView = 'off',
+  calendar,
+  timeZone,
+  secondaryTimeZone,
+  onTaskCreate,
+  onSelectionChange,
+  onTaskActivate,
+  onTaskDelete,
+  onExport,
+  expandedGroups,
+  initialExpandedGroups,
+  onExpandedGroupsChange,
+  groupSummary = 'bars',
+  columns: columnsProp,
+  initialColumnLayout,
+  onColumnLayoutChange,
+  filter: filterProp,
+  initialFilter,
+  onFilterChange,
+  onViewChange,
+  onRangeChange,
+  onScroll: onChartScroll,
+  renderBar,
+  renderTooltip,
+  renderResourceCell,
+  renderEmptyRow,
+}, ref){
   // ------------ Constants ------------
   const BASE_ROW_PX = 40; // matches --gantt-row-h initial
 
+  // Wall-clock math (days, weeks, labels, snapping) happens in this zone
+  const zone = useMemo(() => makeZone(timeZone), [timeZone]);
+  const zone2 = useMemo(() => secondaryTimeZone ? makeZone(secondaryTimeZone) : null, [secondaryTimeZone]);
+  const zoneRef = useRef({ zone, zone2 });
+  zoneRef.current = { zone, zone2 };
+
   // ------------ State ------------
   const [view, setView] = useState(initialView);
-  const [preset, setPreset] = useState(() => initialPreset ?? (initialView==='hour' ? '24 Hours' : initialView==='week' ? 'Full Week' : 'Full Month'));
-  const [anchorMonth, setAnchorMonth] = useState(() => {
-    if (initialMonth) return initialMonth;
-    const d = new Date();
-    return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}`;
+  const [preset, setPreset] = useState(() => initialPreset ?? defaultPresetFor(initialView)); // '' = free zoom
+  // Where the axis opens: initialDay ('YYYY-MM-DD'), else the 1st of initialMonth ('YYYY-MM'), else today
+  const [initialAnchor] = useState(() => {
+    if (initialDay) return parseDayString(initialDay, zone);
+    if (initialMonth) return parseDayString(`${initialMonth}-01`, zone);
+    return startOfDay(new Date(), zone);
   });
-
-  // Snap step in *view units* (Hour: hours, Week/Month: fractions of a day)
-  const [snapUnits, setSnapUnits] = useState(getSnapOptions(initialView, initialPreset ?? defaultPresetFor(initialView))[0].units);
+  const anchorDate = useMemo(() => startOfMonth(initialAnchor, zone), [initialAnchor, zone]);
+
+  // The axis: absolute range [start, end] (ms) and zoom (px per ms)
+  const [initialAxis] = useState(() => axisForPreset(initialView, preset, initialAnchor, DEFAULT_VIEWPORT_PX, zone, calendarOf(null, calendar, zone)));
+  const [axis, setAxis] = useState(initialAxis.axis);
+  const scale = useMemo(() => makeScale(axis), [axis]);
+  const scaleRef = useRef(scale);
+  scaleRef.current = scale;
+
+  // Snap step in ms; the choices follow the zoom level
+  const snapOptions = useMemo(() => getSnapOptions(axis.pxPerMs), [axis.pxPerMs]);
+  const [snapMs, setSnapMs] = useState(snapOptions[0].ms);
   useEffect(() => {
-    const opts = getSnapOptions(view, preset);
-    setSnapUnits(opts[0].units);
-  }, [view, preset]);
+    if (!snapOptions.some(o => o.ms === snapMs)) setSnapMs(snapOptions[0].ms);
+  }, [snapOptions]);
 
   // Overlap behavior
   const [laneOffset, setLaneOffset] = useState(5); // px per lane step (2/5/10)
   const [maxLanes, setMaxLanes] = useState(10);    // 1..20
   const [hoveredId, setHoveredId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { resourceId, allowed } while a bar is dragged over another row
+  const [selectedDep, setSelectedDep] = useState(null); // depKey of the selected arrow
+  const [selectedIds, setSelectedIds] = useState(() => new Set()); // selected task ids (strings)
+  const [focusedId, setFocusedId] = useState(null); // roving keyboard focus (task id string)
+  const [barFocused, setBarFocused] = useState(false); // DOM focus is on a bar (draws the focus ring)
+  const [announcement, setAnnouncement] = useState(''); // live region text
+  const [exportNote, setExportNote] = useState('');
+  const [scheduleMode, setScheduleMode] = useState(initialScheduleMode); // 'push' | 'warn'
+  const [scheduleNote, setScheduleNote] = useState('');
+  const [loadView, setLoadView] = useState(initialLoadView); // 'off' | 'rows' | 'footer'
+  const [workingTimeOnly, setWorkingTimeOnly] = useState(false); // drags skip non-working time
+  const historyRef = useRef({ undo: [], redo: [] }); // batches of { prev, next }
+  const [historySize, setHistorySize] = useState({ undo: 0, redo: 0 });
+  const expectedTasksRef = useRef(null); // controlled: the tasks the host should pass back after our edits
+  const resetHistory = () => {
+    const h = historyRef.current;
+    if (!h.undo.length && !h.redo.length) return;
+    historyRef.current = { undo: [], redo: [] };
+    setHistorySize({ undo: 0, redo: 0 });
+  };
 
-  const anchorDate = useMemo(() => {
-    const [y,m] = (anchorMonth||'1970-01').split('-').map(Number);
-    return new Date(y, (m||1)-1, 1);
-  }, [anchorMonth]);
+  // Visible time window (only re-set when its calendar days change, to keep scrolling cheap)
+  const [visibleRange, setVisibleRange] = useState(() => ({ start: +initialAnchor, end: +initialAnchor + DAY_MS }));
+  const visibleCenter = new Date((visibleRange.start + visibleRange.end) / 2);
 
   // ------------ Data (API or sample) ------------
   const resources = useMemo(() => {
     return resourcesProp && resourcesProp.length ? resourcesProp : generateResources(120);
   }, [resourcesProp]);
 
+  // Resource tree + expand state: controlled by `expandedGroups` (ids of open groups), else internal, where
+  // groups start open unless initialExpandedGroups lists the open ones
+  const tree = useMemo(() => resourceTree(resources), [resources]);
+  const [collapsedGroups, setCollapsedGroups] = useState(() => {
+    if (!initialExpandedGroups) return new Set();
+    const open = new Set(initialExpandedGroups.map(String));
+    return new Set(tree.groups.map(n => String(n.resource.id)).filter(id => !open.has(id)));
+  });
+  const expandedSet = useMemo(() => expandedGroups ? new Set(expandedGroups.map(String)) : null, [expandedGroups]);
+  const isExpanded = (id) => expandedSet ? expandedSet.has(String(id)) : !collapsedGroups.has(String(id));
+  const toggleGroup = (id, open = !isExpanded(id)) => setGroupsOpen([id], open);
+  const setGroupsOpen = (ids, open) => {
+    const set = new Set(ids.map(String));
+    const next = tree.groups.filter(n => set.has(String(n.resource.id)) ? open : isExpanded(n.resource.id));
+    if (!expandedSet) setCollapsedGroups(new Set(tree.groups.filter(n => !next.includes(n)).map(n => String(n.resource.id))));
+    if (typeof onExpandedGroupsChange === 'function') onExpandedGroupsChange(next.map(n => n.resource.id));
+  };
+
   const [internalTasks, setInternalTasks] = useState([]);
   const normalizedIncoming = useMemo(() => (tasksProp||[]).map(t => normalizeTask(t, palette)), [tasksProp, palette]);
 
   useEffect(() => {
     if (tasksProp && tasksProp.length){
+      // the host passing back our own edits keeps the undo history; other data replaces it
+      if (!sameTaskData(normalizedIncoming, expectedTasksRef.current)) resetHistory();
+      expectedTasksRef.current = null;
       setInternalTasks(normalizedIncoming);
     } else {
+      resetHistory();
       setInternalTasks(generateSampleTasks(resources, anchorDate, palette));
     }
+    // not on anchorDate: a timeZone change only redraws the axis, it must not replace the (edited) sample data
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [resources, anchorDate, tasksProp]);
+  }, [resources, tasksProp]);
 
   const tasks = internalTasks;
 
+  // Filter: controlled by `filter`, else internal (initialFilter); see filter.js for the query syntax
+  const [filterState, setFilterState] = useState(() => ({ ...DEFAULT_FILTER, ...initialFilter }));
+  const activeFilter = filterProp ? { ...DEFAULT_FILTER, ...filterProp } : filterState;
+  const updateFilter = (patch) => {
+    const next = { ...activeFilter, ...patch };
+    if (!filterProp) setFilterState(next);
+    if (typeof onFilterChange === 'function') onFilterChange(next);
+  };
+  // null while nothing is filtered, else the matching task ids and the rows that have a match
+  const filterMatch = useMemo(() => {
+    const f = compileFilter(activeFilter, zone);
+    if (!f) return null;
+    const resById = new Map(resources.map(r => [r.id, r]));
+    const ids = new Set(), withMatches = new Set();
+    for (const t of tasks){
+      if (!f.matchTask(t, resById.get(t.resourceId))) continue;
+      ids.add(String(t.id));
+      withMatches.add(t.resourceId);
+    }
+    const rows = new Set(resources.filter(r => withMatches.has(r.id) || f.matchRow(r)).map(r => r.id));
+    return { tasks: ids, rows };
+  }, [tasks, resources, activeFilter.query, activeFilter.task, activeFilter.resource, activeFilter.predicate, zone]);
+  // 'hide' takes non-matching tasks out of the layout, so lanes close up; 'dim' only fades them
+  const viewTasks = useMemo(() => filterMatch && activeFilter.mode === 'hide' ? tasks.filter(t => filterMatch.tasks.has(String(t.id))) : tasks,
+                            [tasks, filterMatch, activeFilter.mode]);
+  const viewRoots = useMemo(() => filterMatch && activeFilter.onlyMatchingRows ? pruneTree(tree.roots, n => filterMatch.rows.has(n.resource.id)) : tree.roots,
+                            [tree, filterMatch, activeFilter.onlyMatchingRows]);
+  // Controlled when the host supplies tasks: edits are reported, the host owns the state.
+  const controlled = !!(tasksProp && tasksProp.length);
+  const tasksRef = useRef(tasks);
+  tasksRef.current = tasks;
+
+  // Early/late dates + total float per task (clock time)
+  const cpm = useMemo(() => computeCriticalPath(tasks), [tasks]);
+  useEffect(() => {
+    if (typeof onCriticalPathChange === 'function') onCriticalPathChange(criticalPathResult(cpm));
+  }, [cpm]);
+
   // ------------ Layout Refs ------------
   const timelineContentRef = useRef(null);
   const chartScrollRef     = useRef(null);
   const chartContentRef    = useRef(null);
   const tableLeftRef       = useRef(null);
+  const pendingScrollRef   = useRef({ t: +initialAxis.from, x: 0 }); // after the next layout, put time t at viewport x
+  const headerWindowRef    = useRef(null); // [x0, x1] content px the header ticks were drawn for
+  const majorLabelsRef     = useRef([]);   // upper-tier labels, kept in view while scrolling
+  const loadContentRef     = useRef(null); // footer histogram, follows the bars like the timeline
+  const calendarRef        = useRef(calendar);
+  calendarRef.current = calendar;
+  const linkLineRef        = useRef(null); // rubber-band line while dragging a new dependency
+  const ghostRef           = useRef(null); // bar being painted on empty row space
+  const lassoRef           = useRef(null); // rubber-band rectangle while Shift/Ctrl-dragging on empty space
+  const pendingFocusRef    = useRef(null); // task id to focus once its bar is mounted
+  const pendingRevealRef   = useRef(null); // task id to scroll to once its row is laid out (ref.scrollToTask)
+  const lastRangeRef       = useRef(null); // { start, end } last reported to onRangeChange
+  const rangeTimerRef      = useRef(null); // pending onRangeChange report
+  const scrollCallbacksRef = useRef(null);
+  scrollCallbacksRef.current = { onRangeChange, onChartScroll };
+  const markerId           = useId().replace(/:/g, '');
+
+  // Rendered window in content px (rows/bars outside it are not mounted); moves in half-viewport steps
+  const [renderWin, setRenderWin] = useState({ x0: 0, x1: 3*DEFAULT_VIEWPORT_PX, y0: 0, y1: 3*DEFAULT_VIEWPORT_PX });
 
   // Root CSS vars
   useEffect(() => {
     const root = document.documentElement;
-    root.style.setProperty('--gantt-left-col', '20%');
     root.style.setProperty('--gantt-row-h', `${BASE_ROW_PX}px`);
     root.style.setProperty('--gantt-bg-odd',  '#1F2937');
     root.style.setProperty('--gantt-bg-even', '#374151');
     root.style.setProperty('--gantt-tooltip-bg', 'rgba(0,0,0,0.9)');
   }, []);
 
-  // ------------ Scale computation ------------
-  const scale = useGanttScale(view, preset, anchorDate, chartScrollRef);
+  // ------------ Axis control ------------
+  const viewportPx = () => chartScrollRef.current?.clientWidth || DEFAULT_VIEWPORT_PX;
 
-  // Match content widths and set transform to visually align timeline
-  useEffect(() => {
+  // Re-centre the range on time t (shown at viewport x) at the given zoom
+  const focusAxis = (t, x = 0, pxPerMs = scaleRef.current.pxPerMs) => {
+    pendingScrollRef.current = { t, x };
+    setAxis({ pxPerMs, ...rangeAround(t, x, pxPerMs, viewportPx()) });
+  };
+
+  const applyPreset = (v, p, at) => {
+    const { axis: next, from } = axisForPreset(v, p, at, viewportPx(), zone, calendarOf(null, calendar, zone));
+    pendingScrollRef.current = { t: +from, x: 0 };
+    setAxis(next);
+  };
+
+  const zoomAt = (t, x, factor) => {
+    const px = clamp(scaleRef.current.pxPerMs * factor, MIN_PX_PER_MS, MAX_PX_PER_MS);
+    if (px === scaleRef.current.pxPerMs) return;
+    focusAxis(t, x, px);
+    setPreset('');
+  };
+
+  // Navigation steps by the active preset (free zoom falls back to the view's default)
+  const activePreset = findPreset(view, preset) || findPreset(view, defaultPresetFor(view));
+  const changeView = (v, p = defaultPresetFor(v), at = visibleCenter) => {
+    setView(v);
+    setPreset(p);
+    applyPreset(v, p, at);
+  };
+  const goTo = (d) => focusAxis(+activePreset.align(d, zone, calendarOf(null, calendar, zone)));
+  const shiftAnchor = (dir) => goTo(activePreset.step(activePreset.align(visibleCenter, zone, calendarOf(null, calendar, zone)), dir, zone));
+
+  // ------------ Timeline header ------------
+  const drawHeader = (force) => {
+    const root = timelineContentRef.current;
+    const cs = chartScrollRef.current;
+    const sc = scaleRef.current;
+    if (!root || !cs || !sc) return;
+    const W = cs.clientWidth || DEFAULT_VIEWPORT_PX;
+    const x0 = cs.scrollLeft, x1 = x0 + W;
+    const drawn = headerWindowRef.current;
+    if (force || !drawn || x0 < drawn[0] || x1 > drawn[1]){
+      // Draw one viewport of slack on both sides so plain scrolling rarely needs a redraw
+      const win = [Math.max(0, x0 - W), Math.min(sc.contentPx, x1 + W)];
+      const { zone, zone2 } = zoneRef.current;
+      majorLabelsRef.current = renderTimeline(root, sc, win[0], win[1], calendarOf(null, calendarRef.current, zone), zone, zone2);
+      headerWindowRef.current = win;
+    }
+    // Upper-tier labels stay readable at the left edge while their period is on screen
+    for (const { el, x, nextX } of majorLabelsRef.current){
+      el.style.left = `${Math.max(x, Math.min(x0, nextX - el.offsetWidth - 8)) + 4}px`;
+    }
+  };
+
+  const syncLoadFooter = () => {
+    const lc = loadContentRef.current, cs = chartScrollRef.current;
+    if (!lc || !cs) return;
+    lc.style.width = Math.round(scaleRef.current.contentPx) + 'px';
+    lc.style.transform = `translateX(-${cs.scrollLeft}px)`;
+  };
+  useLayoutEffect(syncLoadFooter, [loadView]);
+
+  const syncVisibleRange = () => {
+    const cs = chartScrollRef.current;
+    const sc = scaleRef.current;
+    if (!cs || !sc) return;
+    const start = sc.toTime(cs.scrollLeft);
+    const end = sc.toTime(cs.scrollLeft + (cs.clientWidth || DEFAULT_VIEWPORT_PX));
+    const z = zoneRef.current.zone;
+    setVisibleRange(prev => (sameDay(prev.start, start, z) && sameDay(prev.end, end, z)) ? prev : { start, end });
+    // Scrolling moves the range every frame; the host hears about it once it settles
+    clearTimeout(rangeTimerRef.current);
+    rangeTimerRef.current = setTimeout(() => {
+      const last = lastRangeRef.current;
+      if (last && last.start === start && last.end === end) return;
+      lastRangeRef.current = { start, end };
+      const { onRangeChange } = scrollCallbacksRef.current;
+      if (typeof onRangeChange === 'function') onRangeChange({ start: new Date(start), end: new Date(end) });
+    }, RANGE_SETTLE_MS);
+  };
+
+  useLayoutEffect(() => { drawHeader(true); }, [calendar, zone, zone2]);
+
+  // Match content widths, apply a pending scroll target, redraw the header
+  useLayoutEffect(() => {
     const tc = timelineContentRef.current;
     const cc = chartContentRef.current;
     const cs = chartScrollRef.current;
@@ -104,29 +416,21 @@ export default function RobustGantt({
     cc.style.width = W + 'px';
     cc.style.minWidth = W + 'px';
 
+    const pending = pendingScrollRef.current;
+    if (pending){
+      cs.scrollLeft = Math.round(scale.toX(pending.t) - pending.x);
+      pendingScrollRef.current = null;
+    }
     const max = Math.max(0, W - cs.clientWidth);
     if (cs.scrollLeft > max) cs.scrollLeft = max;
 
-    const x = view === 'week' ? 0 : cs.scrollLeft; // Week has no H-scroll
-    tc.style.transform = `translateX(-${x}px)`;
+    tc.style.transform = `translateX(-${cs.scrollLeft}px)`;
     tc.style.willChange = 'transform';
-  }, [scale, view]);
-
-  // Render timeline ticks/labels
-  useEffect(() => {
-    const root = timelineContentRef.current;
-    if (!root || !scale) return;
-    root.innerHTML = '';
-    if (view === 'hour') {
-      const fine = preset === '4 Hours' || preset === '6 Hours';
-      renderHourTimeline(root, scale.pxPerUnit, scale.totalUnits, scale.contentPx, fine);
-    } else if (view === 'month') {
-      const days = daysInMonth(anchorDate);
-      renderMonthTimeline(root, scale.pxPerUnit, days, scale.contentPx, anchorDate);
-    } else {
-      renderWeekTimeline(root, preset);
-    }
-  }, [view, preset, anchorDate, scale]);
+    syncLoadFooter();
+    drawHeader(true);
+    syncVisibleRange();
+    syncRenderWindow();
+  }, [scale]);
 
   // Scroll sync: bars (single H scrollbar) → timeline (transform) and left table V sync
   useEffect(() => {
@@ -139,171 +443,1199 @@ export default function RobustGantt({
         tlc.style.transform = `translateX(-${x}px)`;
         tlc.style.willChange = 'transform';
       }
+      syncLoadFooter();
       const left = tableLeftRef.current; if (left) left.scrollTop = cs.scrollTop;
-      rebuildGeom(); // keep hit map in sync while scrolling
+      const { onChartScroll } = scrollCallbacksRef.current;
+      if (typeof onChartScroll === 'function') onChartScroll({ scrollLeft: cs.scrollLeft, scrollTop: cs.scrollTop });
+
+      // Lazily extend: close to either end of the range, re-centre it on what is visible now
+      const sc = scaleRef.current;
+      const W = cs.clientWidth || DEFAULT_VIEWPORT_PX;
+      if (!pendingScrollRef.current && (cs.scrollLeft < W || cs.scrollLeft + 2*W > sc.contentPx)){
+        focusAxis(sc.toTime(cs.scrollLeft));
+        return;
+      }
+      drawHeader(false);
+      syncVisibleRange();
+      syncRenderWindow();
     };
     cs.addEventListener('scroll', onScroll, { passive: true });
     requestAnimationFrame(onScroll);
-    return () => cs.removeEventListener('scroll', onScroll);
+    return () => { cs.removeEventListener('scroll', onScroll); clearTimeout(rangeTimerRef.current); };
   }, []);
 
-  // Resize → recompute scale (by bumping a tick inside hook)
+  // Ctrl+wheel (and trackpad pinch, which arrives as ctrl+wheel) zooms around the cursor
+  useEffect(() => {
+    const cs = chartScrollRef.current;
+    if (!cs) return;
+    const onWheel = (e) => {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      const x = e.clientX - cs.getBoundingClientRect().left;
+      const t = scaleRef.current.toTime(cs.scrollLeft + x);
+      zoomAt(t, x, Math.exp(-e.deltaY * WHEEL_ZOOM_SPEED));
+    };
+    cs.addEventListener('wheel', onWheel, { passive: false });
+    return () => cs.removeEventListener('wheel', onWheel);
+  }, []);
+
+  // Resize → redraw header and refresh hit map (the zoom itself is kept)
   useEffect(() => {
     const el = chartScrollRef.current; if (!el) return;
-    const ro = new ResizeObserver(() => { setView(v => v); rebuildGeom(); });
+    const ro = new ResizeObserver(() => { drawHeader(true); syncVisibleRange(); syncRenderWindow(); });
     ro.observe(el);
     return () => ro.disconnect();
   }, []);
 
+  // Open on the initial preset once the real viewport width is known
+  useLayoutEffect(() => {
+    if (viewportPx() !== DEFAULT_VIEWPORT_PX) applyPreset(view, preset, initialAnchor);
+  }, []);
+
+  // Host veto for moving a task to another resource (no callback = always allowed); collapsed
+  // and synthetic group rows take no tasks
+  const isReassignAllowed = (task, toResourceId) => {
+    if (toResourceId === task.resourceId) return true;
+    const rows = geomMapRef.current.byResource;
+    if (!isTaskRow(rows.get(toResourceId))) return false;
+    if (typeof canReassignTask !== 'function') return true;
+    return canReassignTask(task, rows.get(toResourceId)?.resource, rows.get(task.resourceId)?.resource) !== false;
+  };
+
+  // Commit a finished drag/resize: absolute dates (+ target resource) → task state + host callback.
+  // others: [{ taskId, start, end }] for the rest of a dragged selection, committed in the same batch.
+  const commitBarChange = (taskId, start, end, mode, resourceId, others = []) => {
+    const prev = tasksRef.current.find(t => String(t.id) === String(taskId));
+    if (!prev) return;
+    if (end <= start) end = new Date(start.getTime() + MIN_TASK_MS);
+    const toResource = resourceId ?? prev.resourceId;
+    if (!isReassignAllowed(prev, toResource)) return; // vetoed: the bar snaps back
+
+    const edits = [];
+    if (start.getTime() !== prev.start.getTime() || end.getTime() !== prev.end.getTime() || toResource !== prev.resourceId){
+      edits.push({ prev, next: { ...prev, start, end, resourceId: toResource } });
+    }
+    for (const o of others){
+      const p = tasksRef.current.find(t => String(t.id) === String(o.taskId));
+      if (p && (o.start.getTime() !== p.start.getTime() || o.end.getTime() !== p.end.getTime())) edits.push({ prev: p, next: { ...p, start: o.start, end: o.end } });
+    }
+    if (!edits.length) return;
+    commitScheduled(edits, edits.map(c => c.prev.id), { mode, snapMs });
+  };
+
+  // Uncontrolled → internal state; always reported to the host as one batch
+  // (prev = null: created, next = null: deleted). Each call is one undo step unless it is an undo/redo itself.
+  const applyTaskChanges = (changes, info, record = true) => {
+    if (!changes.length) return;
+    if (!controlled) setInternalTasks(list => mergeTaskChanges(list, changes));
+    else expectedTasksRef.current = mergeTaskChanges(expectedTasksRef.current || tasksRef.current, changes);
+    if (record){
+      const h = historyRef.current;
+      h.undo.push({ changes, info });
+      if (h.undo.length > HISTORY_LIMIT) h.undo.shift();
+      h.redo = [];
+      setHistorySize({ undo: h.undo.length, redo: 0 });
+    }
+    setAnnouncement(describeChanges(changes, info, zone));
+    if (typeof onTasksChange === 'function') onTasksChange(changes[0].next, changes[0].prev, { ...info, changes });
+  };
+
+  // Undo applies the batch's inverse against the tasks as they are now; redo re-applies the batch
+  const stepHistory = (dir) => {
+    const h = historyRef.current;
+    const from = dir < 0 ? h.undo : h.redo, to = dir < 0 ? h.redo : h.undo;
+    const entry = from.pop();
+    if (!entry) return;
+    to.push(entry);
+    const current = (t) => t && (tasksRef.current.find(x => String(x.id) === String(t.id)) || t);
+    const changes = dir < 0
+      ? entry.changes.slice().reverse().map(c => ({ prev: current(c.next), next: c.prev }))
+      : entry.changes.map(c => ({ prev: current(c.prev), next: c.next }));
+    setHistorySize({ undo: h.undo.length, redo: h.redo.length });
+    applyTaskChanges(changes, { ...entry.info, mode: dir < 0 ? 'undo' : 'redo', of: entry.info?.mode }, false);
+  };
+
+  // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl/Cmd+Y while focus is inside the chart (on the root's onKeyDown)
+  const onHistoryKeyDown = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target?.closest?.('input, select, textarea')) return;
+    const k = e.key.toLowerCase();
+    if (k === 'z'){ e.preventDefault(); stepHistory(e.shiftKey ? 1 : -1); }
+    else if (k === 'y'){ e.preventDefault(); stepHistory(1); }
+  };
+
+  // Apply edits, then reschedule everything downstream of `fixedIds` (whose dates stay as edited)
+  const commitScheduled = (edits, fixedIds, info) => {
+    const edited = new Map(edits.map(c => [String(c.next.id), c]));
+    const list = tasksRef.current.map(t => edited.get(String(t.id))?.next || t);
+    const calendarFor = (t) => resourceCalendar(t.resourceId);
+    const result = scheduleSuccessors(list, fixedIds.map(String), { push: scheduleMode === 'push', calendarFor });
+
+    const changes = edits.map(c => {
+      const moved = result.updates.get(String(c.next.id));
+      return moved ? { prev: c.prev, next: { ...c.next, ...moved } } : c;
+    });
+    for (const [id, moved] of result.updates){
+      if (edited.has(id)) continue;
+      const prev = tasksRef.current.find(t => String(t.id) === id);
+      if (prev) changes.push({ prev, next: { ...prev, ...moved } });
+    }
+    applyTaskChanges(changes, { ...info, scheduleMode });
+
+    const report = { mode: scheduleMode, moved: [...result.updates.keys()], cycles: result.cycles, violations: result.violations };
+    setScheduleNote(describeSchedule(report));
+    if (typeof onScheduleReport === 'function') onScheduleReport(report);
+  };
+
+  // ---------- Dependencies ----------
+  // Stored on the successor; the dragged-from side and the dropped-on side give the type
+  const linkTasks = (fromTask, fromSide, toTask, toSide) => {
+    const succ = tasksRef.current.find(t => String(t.id) === String(toTask.id));
+    if (!succ) return;
+    const dep = { predecessorId: fromTask.id, type: (fromSide === 'end' ? 'F' : 'S') + (toSide === 'start' ? 'S' : 'F'), lag: 0 };
+    const deps = succ.dependencies || [];
+    if (deps.some(d => String(d.predecessorId) === String(dep.predecessorId) && d.type === dep.type)) return;
+    commitScheduled([{ prev: succ, next: { ...succ, dependencies: [...deps, dep] } }], [fromTask.id], { mode: 'link', dependency: dep });
+  };
+
+  const unlinkDependency = (key) => {
+    const [succId] = splitDepKey(key);
+    const succ = tasksRef.current.find(t => String(t.id) === succId);
+    const dep = succ?.dependencies?.find(d => depKey(succ.id, d) === key);
+    if (!dep) return;
+    applyTaskChanges([{ prev: succ, next: { ...succ, dependencies: succ.dependencies.filter(d => d !== dep) } }], { mode: 'unlink', dependency: dep });
+  };
+  const unlinkRef = useRef(unlinkDependency);
+  unlinkRef.current = unlinkDependency;
+
+  // Delete/Backspace removes the selected arrow, Escape drops it (listening only while one is selected)
+  useEffect(() => {
+    if (!selectedDep) return;
+    const onKey = (e) => {
+      if (e.target?.closest?.('input, select, textarea')) return;
+      if (e.key === 'Delete' || e.key === 'Backspace'){ e.preventDefault(); unlinkRef.current(selectedDep); setSelectedDep(null); }
+      else if (e.key === 'Escape') setSelectedDep(null);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [selectedDep]);
+
+  // A resource's calendar = the chart calendar refined by resource.calendar (null: no working-time rules)
+  const resourceCalendar = (resourceId) => calendarOf(geomMapRef.current.byResource.get(resourceId)?.resource, calendar, zone);
+
+  // ---------- Selection ----------
+  // ids → new Set; additive toggles them into the current selection instead of replacing it
+  const selectTasks = (ids, additive = false) => {
+    setSelectedIds(cur => {
+      const next = new Set(additive ? cur : []);
+      for (const id of ids.map(String)) additive && cur.has(id) ? next.delete(id) : next.add(id);
+      return next.size === cur.size && [...next].every(id => cur.has(id)) ? cur : next;
+    });
+  };
+
+  // Forget tasks that are gone (deleted, undone creations, host updates)
+  useEffect(() => {
+    if (!selectedIds.size) return;
+    const known = new Set(tasks.map(t => String(t.id)));
+    if ([...selectedIds].some(id => !known.has(id))) setSelectedIds(new Set([...selectedIds].filter(id => known.has(id))));
+  }, [tasks]);
+
+  const selectionMounted = useRef(false);
+  useEffect(() => {
+    if (!selectionMounted.current){ selectionMounted.current = true; return; }
+    if (typeof onSelectionChange === 'function') onSelectionChange([...selectedIds]);
+  }, [selectedIds]);
+
+  // Escape clears the selection (a selected arrow takes Escape first)
+  const hasSelection = selectedIds.size > 0;
+  useEffect(() => {
+    if (!hasSelection || selectedDep) return;
+    const onKey = (e) => {
+      if (e.key === 'Escape' && !e.target?.closest?.('input, select, textarea')) setSelectedIds(new Set());
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [hasSelection, selectedDep]);
+
+  // ---------- Keyboard ----------
+  // Roving focus: one bar is the tab stop; it is focused as soon as it is mounted (after scrolling to it)
+  const focusTask = (id) => {
+    const hit = geomMapRef.current.byTask.get(String(id));
+    const box = hit && barBox(hit.row, hit.item);
+    if (!box) return;
+    setFocusedId(String(id));
+    pendingFocusRef.current = String(id);
+    scrollBoxIntoView(box);
+  };
+
+  const scrollBoxIntoView = (box) => {
+    const cs = chartScrollRef.current;
+    if (!cs) return;
+    if (box.leftPx < cs.scrollLeft || box.leftPx + box.widthPx > cs.scrollLeft + cs.clientWidth) cs.scrollLeft = Math.max(0, box.leftPx - 40);
+    if (box.top < cs.scrollTop || box.top + box.height > cs.scrollTop + cs.clientHeight) cs.scrollTop = Math.max(0, box.top - 40);
+  };
+
+  useEffect(() => {
+    const id = pendingFocusRef.current;
+    const el = id != null && chartContentRef.current?.querySelector(`[data-taskid="${CSS.escape(id)}"]`);
+    if (el){ pendingFocusRef.current = null; if (document.activeElement !== el) el.focus({ preventScroll: true }); }
+  });
+
+  // Next bar for a navigation key: same row in time order (←/→ with Ctrl/Alt, Home/End),
+  // or the bar nearest in time in the closest row above/below that has bars (↑/↓)
+  const neighbourBar = (id, key) => {
+    const { rows, byTask } = geomMapRef.current;
+    const hit = byTask.get(id);
+    const barsOf = (row) => row.info.items.map(item => ({ item, box: barBox(row, item) })).filter(b => b.box)
+                                          .sort((a, b) => a.box.leftPx - b.box.leftPx);
+    if (key === 'ArrowUp' || key === 'ArrowDown'){
+      const cur = barBox(hit.row, hit.item);
+      const mid = (b) => b.leftPx + b.widthPx/2;
+      const d = key === 'ArrowUp' ? -1 : 1;
+      for (let i = hit.row.idx + d; i >= 0 && i < rows.length; i += d){
+        const bars = barsOf(rows[i]);
+        if (bars.length) return bars.reduce((a, b) => Math.abs(mid(b.box) - mid(cur)) < Math.abs(mid(a.box) - mid(cur)) ? b : a).item.task.id;
+      }
+      return null;
+    }
+    const bars = barsOf(hit.row);
+    const i = bars.findIndex(b => String(b.item.task.id) === id);
+    const j = key === 'Home' ? 0 : key === 'End' ? bars.length - 1 : i + (key === 'ArrowLeft' ? -1 : 1);
+    return bars[j]?.item.task.id ?? null;
+  };
+
+  // Arrow move / Shift+arrow resize by one snap step; a selected bar takes the selection along (one batch)
+  const nudgeTasks = (task, group, dir, mode) => {
+    const step = snapMs || MIN_TASK_MS;
+    const nudge = (t) => {
+      const s = t.start.getTime(), e = t.end.getTime();
+      if (mode === 'move'){
+        let ns = snapTime(s + dir*step, snapMs, zone);
+        if (ns === s) ns = s + dir*step; // off-grid task: snapping must not swallow the step
+        return [new Date(ns), new Date(ns + e - s)];
+      }
+      return [t.start, new Date(Math.max(snapTime(e + dir*step, snapMs, zone), s + Math.min(step, e - s)))];
+    };
+    const [start, end] = nudge(task);
+    const others = group.filter(t => t !== task).map(t => { const [s, e] = nudge(t); return { taskId: t.id, start: s, end: e }; });
+    commitBarChange(task.id, start, end, mode, undefined, others);
+    pendingFocusRef.current = String(task.id);
+  };
+
+  // onTaskDelete(tasks) may return (or resolve to) false, or throw/reject, to keep them; no hook = delete locally.
+  // Resolves to whether the tasks were deleted.
+  const deleteTasks = async (list) => {
+    if (typeof onTaskDelete === 'function'){
+      const res = await Promise.resolve().then(() => onTaskDelete(list)).catch(() => false);
+      if (res === false) return false;
+    }
+    applyTaskChanges(list.map(t => ({ prev: t, next: null })), { mode: 'delete' });
+    return true;
+  };
+
+  const onGridKeyDown = (e) => {
+    const id = e.target?.dataset?.taskid;
+    const task = id != null && geomMapRef.current.byTask.has(id) && tasksRef.current.find(t => String(t.id) === id);
+    if (!task) return;
+    const group = selectedIds.has(id) ? tasksRef.current.filter(t => selectedIds.has(String(t.id))) : [task];
+    const nav = e.ctrlKey || e.altKey || e.metaKey;
+    if ((e.key === 'ArrowLeft' || e.key === 'ArrowRight') && !nav){
+      nudgeTasks(task, group, e.key === 'ArrowLeft' ? -1 : 1, e.shiftKey ? 'resize-r' : 'move');
+    } else if (['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'].includes(e.key)){
+      const next = neighbourBar(id, e.key);
+      if (next != null) focusTask(next);
+    } else if (e.key === ' '){
+      selectTasks([id], true);
+    } else if (e.key === 'Enter'){
+      if (typeof onTaskActivate === 'function') onTaskActivate(task);
+    } else if ((e.key === 'Delete' || e.key === 'Backspace') && !selectedDep){
+      const rest = group.map(t => String(t.id));
+      const next = ['ArrowRight', 'ArrowLeft', 'ArrowDown', 'ArrowUp'].map(k => neighbourBar(id, k)).find(n => n != null && !rest.includes(String(n)));
+      deleteTasks(group).then(done => { if (done && next != null) focusTask(next); })
+        .catch(() => setAnnouncement('The tasks could not be deleted'));
+    } else return;
+    e.preventDefault();
+  };
+
+  // Tabbing into the grid lands on the focused bar, else the first mounted one
+  const onGridFocus = (e) => {
+    if (e.target !== e.currentTarget) return;
+    if (focusedId != null && geometry.byTask.has(focusedId)) return focusTask(focusedId);
+    for (const row of visibleRows){
+      const item = row.info.items.find(it => { const b = barBox(row, it); return b && b.leftPx + b.widthPx >= renderWin.x0 && b.leftPx <= renderWin.x1; });
+      if (item) return focusTask(item.task.id);
+    }
+  };
+
+  // Rubber band (content px): every bar whose box intersects it
+  const selectInRect = (rect, additive) => {
+    const ids = [];
+    for (const row of rowsInWindow(geomMapRef.current.rows, rect.y0, rect.y1)){
+      for (const item of row.info.items){
+        const b = barBox(row, item);
+        if (b && b.leftPx <= rect.x1 && b.leftPx + b.widthPx >= rect.x0 && b.top <= rect.y1 && b.top + b.height >= rect.y0) ids.push(item.task.id);
+      }
+    }
+    if (additive) selectTasks(ids.filter(id => !selectedIds.has(String(id))), true);
+    else selectTasks(ids);
+  };
+
+  // Pointer → row under it, in content coordinates (used while dragging across rows)
+  const locateRow = (clientY) => {
+    const cc = chartContentRef.current;
+    if (!cc) return null;
+    const y = clientY - cc.getBoundingClientRect().top;
+    return { y, row: rowAtY(geomMapRef.current.rows, y) };
+  };
+
+  const onDragOverRow = (task, resourceId) => {
+    const next = (resourceId == null || resourceId === task.resourceId) ? null
+               : { resourceId, allowed: isReassignAllowed(task, resourceId) };
+    setDropTarget(prev => (prev?.resourceId === next?.resourceId && prev?.allowed === next?.allowed) ? prev : next);
+  };
+
   // Dragging / resizing with tooltip + snapping
-  const { onBarMouseDown, beginFromElement } = useBarDrag({ view, anchorDate, scale, onTasksChange, setInternalTasks, snapUnits });
+  const createdSeqRef = useRef(0);
+  // Ids for tasks the chart creates (painted, or imported without one)
+  const newTaskId = () => `new-${Date.now().toString(36)}-${++createdSeqRef.current}`;
+  // A painted interval becomes a task: the host hook may persist it (and hand back its version) or refuse it
+  const createTask = async (resourceId, start, end) => {
+    const draft = { id: newTaskId(), resourceId, title: 'New task', start, end };
+    let task = draft;
+    if (typeof onTaskCreate === 'function'){
+      // inside the chain, so a hook that throws refuses the task like one that rejects
+      const res = await Promise.resolve().then(() => onTaskCreate(resourceId, start, end)).catch(() => false);
+      if (res === false || res === null) return;
+      // a task without an id could never be moved, selected or undone: give it the draft's
+      if (res && typeof res === 'object') task = res.id == null || res.id === '' ? { ...res, id: draft.id } : res;
+    }
+    applyTaskChanges([{ prev: null, next: normalizeTask({ resourceId, ...task }, palette) }], { mode: 'create', snapMs });
+  };
+
+  const dragTipRef = useRef(null);
+  // Hover chip above a bar: renderTooltip({ kind: 'hover', task, resource, lane, label, color, geometry, state, schedule,
+  // conflict, text }) — bar is what renderBar gets — or the schedule's float (text); null/'' shows nothing
+  const hoverTipContent = (bar, sched) => {
+    const text = sched ? (sched.critical ? 'Critical · float 0' : `Float ${formatDuration(sched.totalFloat)}`) : '';
+    if (typeof renderTooltip !== 'function') return text;
+    return renderTooltip({ kind: 'hover', ...bar, schedule: sched || null, conflict: bar.state.conflict, text });
+  };
+
+  const { beginFromElement, beginCreate } = useBarDrag({ scale, zone, onCommit: commitBarChange, onCreate: createTask, snapMs, locateRow, onDragOverRow,
+                                            calendarFor: workingTimeOnly ? resourceCalendar : null, tooltipRef: dragTipRef });
+
+  const toContent = (clientX, clientY) => {
+    const r = chartContentRef.current?.getBoundingClientRect();
+    return r ? { x: clientX - r.left, y: clientY - r.top } : { x: 0, y: 0 };
+  };
+  const { beginLink } = useLinkDrag({ lineRef: linkLineRef, toContent, pickBarAt: (x, y) => pickBarAt(x, y), onLink: linkTasks });
+  const { beginLasso } = useLasso({ boxRef: lassoRef, toContent, onSelect: (rect, additive) => selectInRect(rect, additive) });
 
   // ---------- Compute per-row lane layout (memoized) ----------
+  // Lanes are assigned over all of a resource's tasks, not just the visible ones, so row
+  // heights stay put while the axis scrolls and zooms.
+  // Over-allocation per resource: pairs of tasks that overlap while the resource is above capacity
+  const conflictsByResource = useMemo(() => {
+    const byResource = new Map();
+    for (const t of tasks){
+      let list = byResource.get(t.resourceId);
+      if (!list) byResource.set(t.resourceId, list = []);
+      list.push(t);
+    }
+    const out = new Map();
+    for (const r of resources){
+      const found = findConflicts(byResource.get(r.id) || [], r.capacity ?? 1);
+      if (found.pairs.length) out.set(r.id, found);
+    }
+    return out;
+  }, [resources, tasks]);
+
+  useEffect(() => {
+    if (typeof onConflictsChange !== 'function') return;
+    const list = [];
+    for (const [resourceId, { pairs }] of conflictsByResource){
+      for (const p of pairs) list.push({ resourceId, ...p });
+    }
+    onConflictsChange(list);
+  }, [conflictsByResource]);
+
   const rowLayout = useMemo(() => {
+    const segsByResource = new Map();
+    for (const t of viewTasks){
+      let segs = segsByResource.get(t.resourceId);
+      if (!segs) segsByResource.set(t.resourceId, segs = []);
+      segs.push({ task: t, seg: projectTaskToView(t) });
+    }
     const byId = new Map();
     for (const r of resources){
-      const segs = [];
-      for (const t of tasks){
-        if (t.resourceId !== r.id) continue;
-        const seg = projectTaskToView(t, view, preset, anchorDate);
-        if (!seg) continue;
-        segs.push({ task: t, seg });
-      }
       // Assign lanes greedily
-      const { items, laneCount } = assignLanes(segs, maxLanes);
-      const rowHeight = BASE_ROW_PX + Math.max(0, laneCount-1) * laneOffset;
-      byId.set(r.id, { items, laneCount, rowHeight });
+      const { items, laneCount, overflow, hidden } = assignLanes(segsByResource.get(r.id) || [], maxLanes);
+      const histPx = loadView === 'rows' ? LOAD_ROW_PX : 0;
+      const rowHeight = BASE_ROW_PX + Math.max(0, laneCount-1) * laneOffset + histPx;
+      const conflicts = conflictsByResource.get(r.id) || NO_CONFLICTS;
+      byId.set(r.id, { items, laneCount, rowHeight, histPx, overflow, hidden, conflicts });
     }
     return byId;
-  }, [resources, tasks, view, preset, anchorDate, maxLanes, laneOffset, BASE_ROW_PX, scale]);
-
-  // ----------------- Global hit‑testing so lower bars are selectable -----------------
-  // We build a geometry map of rendered bars (client rects) and select the nearest vertically.
-  const geomMapRef = useRef(new Map()); // taskId -> { el, rect }
-
-  const rebuildGeom = () => {
-    const map = new Map();
-    const root = chartContentRef.current;
-    if (!root) return;
-    const nodes = root.querySelectorAll('[data-bar="1"]');
-    nodes.forEach((el) => {
-      const id = el.getAttribute('data-taskid');
-      if (!id) return;
-      map.set(id, { el, rect: el.getBoundingClientRect() });
+  }, [resources, viewTasks, maxLanes, laneOffset, BASE_ROW_PX, conflictsByResource, loadView]);
+
+  // ---------- Resource grid columns ----------
+  // Layout (order, widths, sort, splitter) is the user's; onColumnLayoutChange(layout) lets the host keep it
+  const columnDefs = useMemo(() => normalizeColumns(columnsProp), [columnsProp]);
+  const [columnLayout, setColumnLayout] = useState(() => ({ order: null, widths: {}, sort: null, gridWidth: null, ...initialColumnLayout }));
+  const columnLayoutRef = useRef(columnLayout);
+  columnLayoutRef.current = columnLayout;
+  const [columnDrop, setColumnDrop] = useState(null); // { id, index } while a header is dragged to a new place
+  const columns = useMemo(() => {
+    const byId = new Map(columnDefs.map(c => [c.id, c]));
+    const order = (columnLayout.order || []).filter(id => byId.has(id));
+    for (const c of columnDefs) if (!order.includes(c.id)) order.push(c.id);
+    return order.map(id => { const c = byId.get(id); return { ...c, width: Math.max(c.minWidth, columnLayout.widths[id] ?? c.width) }; });
+  }, [columnDefs, columnLayout.order, columnLayout.widths]);
+  // no splitter position yet: the columns' width, or the classic 20% without a columns prop
+  const gridWidth = columnLayout.gridWidth ?? (columnsProp ? columns.reduce((w, c) => w + c.width, 0) : null);
+
+  // patch → state; notify: report to the host (once a gesture is over)
+  const patchColumnLayout = (patch, notify = true) => {
+    const next = { ...columnLayoutRef.current, ...patch };
+    columnLayoutRef.current = next;
+    setColumnLayout(next);
+    if (notify && typeof onColumnLayoutChange === 'function') onColumnLayoutChange(next);
+  };
+
+  // Per resource over the visible range: task count, allocated vs. available time (capacity × calendar) and
+  // load = alloc / cap; groups sum their members
+  const resourceStats = useMemo(() => {
+    const own = new Map(), capByCal = new Map();
+    const t0 = visibleRange.start, t1 = visibleRange.end;
+    for (const r of resources){
+      const cal = calendarOf(r, calendar, zone);
+      if (!capByCal.has(cal)) capByCal.set(cal, workingTimeBetween(t0, t1, cal));
+      const items = rowLayout.get(r.id)?.items || [];
+      let alloc = 0;
+      for (const { seg } of items) alloc += Math.max(0, Math.min(seg.end, t1) - Math.max(seg.start, t0));
+      const cap = (r.capacity ?? 1) * capByCal.get(cal);
+      own.set(r.id, { tasks: items.length, alloc, cap, load: loadRatio(alloc, cap) });
+    }
+    const out = new Map(own);
+    for (const node of tree.groups){
+      const sum = { tasks: 0, alloc: 0, cap: 0 };
+      for (const m of treeMembers(node)){ const s = own.get(m.id); sum.tasks += s.tasks; sum.alloc += s.alloc; sum.cap += s.cap; }
+      out.set(node.resource.id, { ...sum, load: loadRatio(sum.alloc, sum.cap) });
+    }
+    return out;
+  }, [resources, tree, rowLayout, visibleRange, calendar, zone]);
+
+  // Sorting reorders siblings (the tree stays intact); blank values go last either way
+  const sortColumn = columns.find(c => c.id === columnLayout.sort?.columnId && c.sortable);
+  const sortDir = columnLayout.sort?.dir === 'desc' ? -1 : 1;
+  // only load-style columns re-sort as the range scrolls
+  const sortStats = sortColumn?.stats ? resourceStats : null;
+  const compareRows = useMemo(() => {
+    if (!sortColumn) return null;
+    const valueOf = (n) => columnValue(sortColumn, n.resource, sortStats?.get(n.resource.id));
+    return (a, b) => {
+      const va = valueOf(a), vb = valueOf(b);
+      if (isBlankCell(va) || isBlankCell(vb)) return isBlankCell(va) - isBlankCell(vb);
+      return sortDir * compareCells(va, vb);
+    };
+  }, [sortColumn, sortDir, sortStats]);
+
+  const sortBy = (col) => {
+    if (!col.sortable) return;
+    const cur = columnLayoutRef.current.sort;
+    const sort = cur?.columnId !== col.id ? { columnId: col.id, dir: 'asc' } : cur.dir === 'asc' ? { columnId: col.id, dir: 'desc' } : null;
+    patchColumnLayout({ sort });
+    setAnnouncement(sort ? `Sorted by ${columnLabel(col)}, ${sort.dir === 'asc' ? 'ascending' : 'descending'}` : 'Sorting cleared');
+  };
+
+  const moveColumn = (id, index) => {
+    const order = columns.map(c => c.id).filter(x => x !== id);
+    order.splice(clamp(index, 0, order.length), 0, id);
+    patchColumnLayout({ order });
+  };
+
+  // Splitter between grid and chart (pointer drag, or ←/→ when focused)
+  const maxGridWidth = () => Math.max(MIN_GRID_PX, (tableLeftRef.current?.parentElement?.clientWidth || DEFAULT_VIEWPORT_PX) - 160);
+  const beginSplitterDrag = (e) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    const x0 = e.clientX, w0 = tableLeftRef.current?.offsetWidth || 0;
+    const stop = listenPointer((ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      patchColumnLayout({ gridWidth: clamp(w0 + ev.clientX - x0, MIN_GRID_PX, maxGridWidth()) }, false);
+    }, (ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      stop();
+      patchColumnLayout({});
     });
-    geomMapRef.current = map;
+  };
+  const onSplitterKeyDown = (e) => {
+    if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+    e.preventDefault();
+    const w = tableLeftRef.current?.offsetWidth || 0;
+    patchColumnLayout({ gridWidth: clamp(w + (e.key === 'ArrowLeft' ? -16 : 16), MIN_GRID_PX, maxGridWidth()) });
   };
 
-  useLayoutEffect(() => {
-    rebuildGeom();
-    // Also rebuild on window resize to keep rects fresh
-    const on = () => rebuildGeom();
-    window.addEventListener('resize', on);
-    return () => window.removeEventListener('resize', on);
-  }, [resources, tasks, view, preset, anchorDate, laneOffset, maxLanes, scale]);
+  // Column header: drag the right edge to resize, drag the header to reorder (a plain click sorts)
+  const beginColumnResize = (e, col) => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const x0 = e.clientX;
+    const stop = listenPointer((ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      const widths = { ...columnLayoutRef.current.widths, [col.id]: Math.max(col.minWidth, Math.round(col.width + ev.clientX - x0)) };
+      patchColumnLayout({ widths }, false);
+    }, (ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      stop();
+      patchColumnLayout({});
+    });
+  };
+  const suppressSortClickRef = useRef(false);
+  const beginColumnDrag = (e, col) => {
+    if (e.button !== 0) return;
+    const head = e.currentTarget.parentElement.parentElement;
+    const x0 = e.clientX;
+    let index = null;
+    const stop = listenPointer((ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      if (index == null && Math.abs(ev.clientX - x0) < 5) return;
+      // insertion point: before the first column whose middle is right of the pointer
+      const x = ev.clientX - head.getBoundingClientRect().left;
+      let left = 0;
+      index = columns.length;
+      for (let i = 0; i < columns.length; i++){
+        if (x < left + columns[i].width / 2){ index = i; break; }
+        left += columns[i].width;
+      }
+      setColumnDrop({ id: col.id, index });
+    }, (ev) => {
+      if (ev.pointerId !== e.pointerId) return;
+      stop();
+      setColumnDrop(null);
+      if (index == null || ev.type === 'pointercancel') return;
+      // swallow the click that ends the drag; released off the button no click follows, so let go next tick
+      suppressSortClickRef.current = true;
+      setTimeout(() => { suppressSortClickRef.current = false; });
+      const from = columns.findIndex(c => c.id === col.id);
+      if (index !== from && index !== from + 1) moveColumn(col.id, index > from ? index - 1 : index);
+    });
+  };
+  const onColumnHeaderClick = (col) => {
+    if (suppressSortClickRef.current){ suppressSortClickRef.current = false; return; }
+    sortBy(col);
+  };
+  const onColumnHeaderKeyDown = (e, col) => {
+    if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    moveColumn(col.id, columns.findIndex(c => c.id === col.id) + (e.key === 'ArrowLeft' ? -1 : 1));
+  };
+
+  // ----------------- Computed geometry (virtualization + hit‑testing) -----------------
+  // Row offsets in tree order plus a task index; x positions come from the scale on demand.
+  // A collapsed group is one summary row (rollup: its members' tasks, not hit-tested); an open
+  // synthetic group is an empty header row.
+  const geometry = useMemo(() => {
+    const rows = [];
+    const byTask = new Map();     // taskId -> { row, item }
+    const byResource = new Map(); // resourceId -> row
+    const empty = { items: [], laneCount: 1, rowHeight: BASE_ROW_PX, histPx: 0, overflow: [], hidden: 0, conflicts: NO_CONFLICTS };
+    let y = 0;
+    flattenTree(viewRoots, isExpanded, compareRows).forEach(({ node, depth, open }, idx) => {
+      const r = node.resource;
+      const group = node.children.length ? { open, size: node.children.length } : null;
+      let info = node.synthetic ? empty : rowLayout.get(r.id) || empty, rollup = null;
+      if (group && !open){
+        const members = treeMembers(node);
+        const items = members.flatMap(m => rowLayout.get(m.id)?.items || []);
+        rollup = { steps: rollupSteps(items), count: items.length, capacity: members.reduce((n, m) => n + (m.capacity ?? 1), 0) || 1 };
+        info = empty;
+      }
+      const row = { resource: r, idx, top: y, height: info.rowHeight, info, depth, group, rollup, synthetic: node.synthetic };
+      rows.push(row);
+      byResource.set(r.id, row);
+      for (const it of info.items) byTask.set(String(it.task.id), { row, item: it });
+      y += info.rowHeight;
+    });
+    return { rows, byTask, byResource, totalHeight: y };
+  }, [viewRoots, rowLayout, BASE_ROW_PX, expandedSet, collapsedGroups, compareRows]);
+  const geomMapRef = useRef(geometry);
+  geomMapRef.current = geometry;
+
+  // ---------- Load histogram ----------
+  // Buckets follow the header's lower tier and cover the rendered window only.
+  const loadBucketsFor = (pieces) => {
+    const sc = scaleRef.current;
+    const { minor } = pickTimelineTiers(sc.pxPerMs);
+    const buckets = makeLoadBuckets(sc.toTime(Math.max(0, renderWin.x0)), sc.toTime(Math.min(sc.contentPx, renderWin.x1)), minor, zone);
+    for (const { items, capacity, cal } of pieces){
+      for (const b of buckets) b.cap += capacity * (cal ? workingTimeBetween(b.start, b.end, cal) : b.end - b.start);
+      for (const it of items) addAllocation(buckets, it.seg.start, it.seg.end);
+    }
+    return buckets;
+  };
+
+  const rowLoad = useMemo(() => {
+    const out = new Map();
+    if (loadView !== 'rows') return out;
+    for (const row of rowsInWindow(geometry.rows, renderWin.y0, renderWin.y1)){
+      const r = row.resource;
+      out.set(r.id, loadBucketsFor([{ items: row.info.items, capacity: r.capacity ?? 1, cal: calendarOf(r, calendar, zone) }]));
+    }
+    return out;
+  }, [loadView, geometry, renderWin, scale, calendar, zone]);
+
+  const footerLoad = useMemo(() => {
+    if (loadView !== 'footer') return null;
+    // Capacity grouped by calendar so each distinct calendar is walked once per bucket
+    const byCal = new Map();
+    for (const r of resources){
+      const cal = calendarOf(r, calendar, zone);
+      byCal.set(cal, (byCal.get(cal) || 0) + (r.capacity ?? 1));
+    }
+    const pieces = [...byCal].map(([cal, capacity]) => ({ items: [], capacity, cal }));
+    pieces.push({ items: geometry.rows.flatMap(row => row.info.items), capacity: 0, cal: null });
+    return loadBucketsFor(pieces);
+  }, [loadView, geometry, resources, renderWin.x0, renderWin.x1, scale, calendar, zone]);
+
+  // Non-working bands per visible row (rows sharing a calendar share the bands); hours only when zoomed in
+  const rowShading = useMemo(() => {
+    const out = new Map(), byCal = new Map();
+    const t0 = scale.toTime(Math.max(0, renderWin.x0)), t1 = scale.toTime(Math.min(scale.contentPx, renderWin.x1));
+    const withHours = UNIT_MS[pickTimelineTiers(scale.pxPerMs).minor.unit] < DAY_MS;
+    for (const row of rowsInWindow(geometry.rows, renderWin.y0, renderWin.y1)){
+      const cal = calendarOf(row.resource, calendar, zone);
+      if (!byCal.has(cal)) byCal.set(cal, nonWorkingBands(t0, t1, cal, withHours, zone));
+      out.set(row.resource.id, byCal.get(cal));
+    }
+    return out;
+  }, [geometry, renderWin, scale, calendar, zone]);
+
+  const syncRenderWindow = () => {
+    const cs = chartScrollRef.current;
+    if (!cs) return;
+    const W = cs.clientWidth || DEFAULT_VIEWPORT_PX;
+    const H = cs.clientHeight || DEFAULT_VIEWPORT_PX;
+    const xb = Math.floor(cs.scrollLeft / (W/2)) * (W/2);
+    const yb = Math.floor(cs.scrollTop / (H/2)) * (H/2);
+    const next = { x0: xb - W, x1: xb + 2*W, y0: yb - H, y1: yb + 2*H };
+    setRenderWin(prev => (prev.x0 === next.x0 && prev.x1 === next.x1 && prev.y0 === next.y0 && prev.y1 === next.y1) ? prev : next);
+  };
+
+  // Bar box in content px, or null when the task is outside the range
+  const barBox = (row, item) => {
+    const px = segToPixels(item.seg, scaleRef.current);
+    if (!px) return null;
+    return { ...px, top: row.top + 6 + item.lane * laneOffset, height: BASE_ROW_PX - 12 };
+  };
 
   const pickBarAt = (clientX, clientY) => {
+    const cc = chartContentRef.current;
+    if (!cc) return null;
+    const origin = cc.getBoundingClientRect(); // content box: already shifted by the scroll offsets
+    const x = clientX - origin.left, y = clientY - origin.top;
+    const row = rowAtY(geomMapRef.current.rows, y);
+    if (!row) return null;
+    // Within the row, pick the bar whose vertical center is nearest to the cursor
     let best = null;
     let bestDy = Infinity;
-    geomMapRef.current.forEach(({ el, rect }, taskId) => {
-      // Check horizontal overlap first; vertical we'll rank by center distance
-      if (clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom){
-        const cy = rect.top + rect.height/2;
-        const dy = Math.abs(clientY - cy);
-        if (dy < bestDy){ bestDy = dy; best = { taskId, el, rect }; }
+    for (const item of row.info.items){
+      const box = barBox(row, item);
+      if (!box) continue;
+      if (x >= box.leftPx && x <= box.leftPx + box.widthPx && y >= box.top && y <= box.top + box.height){
+        const dy = Math.abs(y - (box.top + box.height/2));
+        if (dy < bestDy){ bestDy = dy; best = { item, box }; }
       }
-    });
-    return best; // may be null
+    }
+    if (!best) return null;
+    const taskId = String(best.item.task.id);
+    const { leftPx, widthPx, top, height } = best.box;
+    const rect = { left: origin.left + leftPx, top: origin.top + top, width: widthPx, height,
+                   right: origin.left + leftPx + widthPx, bottom: origin.top + top + height };
+    const el = cc.querySelector(`[data-taskid="${CSS.escape(taskId)}"]`);
+    return el ? { taskId, task: best.item.task, el, rect } : null;
+  };
+
+  // Link handles sit just outside the hovered bar's unclipped ends
+  const linkHandles = (taskId) => {
+    const hit = taskId != null && geometry.byTask.get(String(taskId));
+    const box = hit && barBox(hit.row, hit.item);
+    if (!box) return [];
+    const cy = box.top + box.height/2;
+    const out = [];
+    if (!box.clippedStart) out.push({ side: 'start', x: box.leftPx - LINK_HANDLE_GAP, y: cy });
+    if (!box.clippedEnd) out.push({ side: 'end', x: box.leftPx + box.widthPx + LINK_HANDLE_GAP, y: cy });
+    return out;
+  };
+
+  const linkHandleAt = (clientX, clientY) => {
+    const { x, y } = toContent(clientX, clientY);
+    const h = linkHandles(hoveredId).find(h => Math.hypot(h.x - x, h.y - y) <= LINK_HANDLE_R + 3);
+    return h ? { ...h, task: geometry.byTask.get(hoveredId).item.task } : null;
   };
 
+  // Arrows for dependencies near the rendered window (either end may be far away): the links of the tasks in the
+  // window's rows plus the long ones passing over it; the index only changes with the geometry, not on scroll
+  const depIndex = useMemo(() => indexDependencies(geometry.byTask), [geometry]);
+  const depPaths = useMemo(() => {
+    const links = new Map();
+    for (const row of rowsInWindow(geometry.rows, renderWin.y0, renderWin.y1)){
+      for (const { task } of row.info.items) for (const link of depIndex.byTask.get(String(task.id)) || []) links.set(link.key, link);
+    }
+    for (const span of depIndex.spanning){
+      if (span.y1 - span.y0 < renderWin.y1 - renderWin.y0) break;
+      if (span.y0 <= renderWin.y0 && span.y1 >= renderWin.y1) links.set(span.link.key, span.link);
+    }
+    return dependencyArrows(links.values(), barBox).filter(({ s, t }) =>
+      Math.max(s.y, t.y) >= renderWin.y0 && Math.min(s.y, t.y) <= renderWin.y1 &&
+      Math.max(s.x, t.x) + DEP_GAP >= renderWin.x0 && Math.min(s.x, t.x) - DEP_GAP <= renderWin.x1
+    );
+  }, [geometry, depIndex, scale, renderWin, laneOffset]);
+
   const onSurfaceMove = (e) => {
     const hit = pickBarAt(e.clientX, e.clientY);
+    if (!hit && linkHandleAt(e.clientX, e.clientY)){ document.body.style.cursor = 'crosshair'; return; }
     setHoveredId(hit?.taskId || null);
     if (hit) {
       const xIn = e.clientX - hit.rect.left;
-      const edge = 8;
-      const nearEdge = xIn < edge || xIn > hit.rect.width - edge;
+      const edge = edgePx(e.pointerType, hit.rect.width);
+      const nearEdge = (xIn < edge && !hit.el.dataset.clipL) || (xIn > hit.rect.width - edge && !hit.el.dataset.clipR);
       document.body.style.cursor = nearEdge ? 'ew-resize' : 'grab';
     } else {
       document.body.style.cursor = 'default';
     }
   };
 
+  // Keep the rest of a gesture on the chart, wherever the pointer goes
+  const capturePointer = (e) => {
+    try { chartContentRef.current?.setPointerCapture(e.pointerId); } catch { /* pointer already gone */ }
+  };
+
+  // e: a pointerdown, or the recorded press of a touch long-press
   const onSurfaceDown = (e) => {
+    setSelectedDep(null);
+    const additive = e.shiftKey || e.ctrlKey || e.metaKey;
     const hit = pickBarAt(e.clientX, e.clientY);
-    if (!hit) return;
+    if (!hit){
+      const handle = linkHandleAt(e.clientX, e.clientY);
+      if (handle){ capturePointer(e); beginLink(handle.task, handle.side, handle.x, handle.y, e.pointerId); e.preventDefault(); return; }
+      // Shift/Ctrl + drag: rubber-band selection
+      if (e.button === 0 && additive){
+        const p = toContent(e.clientX, e.clientY);
+        capturePointer(e);
+        beginLasso(p.x, p.y, true, e.pointerId);
+        e.preventDefault();
+        return;
+      }
+      if (selectedIds.size) selectTasks([]);
+      // Empty row space: paint a new task
+      const loc = locateRow(e.clientY);
+      if (e.button === 0 && isTaskRow(loc?.row) && ghostRef.current){
+        ghostRef.current.style.top = `${loc.row.top + 6}px`;
+        capturePointer(e);
+        beginCreate(ghostRef.current, loc.row.resource.id, scale.toTime(e.clientX - chartContentRef.current.getBoundingClientRect().left), e.clientX, e.clientY, e.pointerId);
+        e.preventDefault();
+      }
+      return;
+    }
     const xIn = e.clientX - hit.rect.left;
-    const edge = 8;
+    const edge = edgePx(e.pointerType, hit.rect.width);
     let mode = 'move';
     if (xIn < edge) mode = 'resize-l'; else if (xIn > hit.rect.width - edge) mode = 'resize-r';
-    beginFromElement(hit.el, hit.taskId, mode, e.clientX, e.clientY);
+    // A clipped edge is the range border, not the task's real start/end: drag it as a move
+    if ((mode === 'resize-l' && hit.el.dataset.clipL) || (mode === 'resize-r' && hit.el.dataset.clipR)) mode = 'move';
+    setFocusedId(hit.taskId);
+    hit.el.focus({ preventScroll: true });
+    // Shift/Ctrl-click toggles the bar; pressing a selected bar drags the whole selection
+    if (additive){ selectTasks([hit.taskId], true); e.preventDefault(); return; }
+    let followers = [];
+    if (selectedIds.has(hit.taskId)){
+      const cc = chartContentRef.current;
+      followers = tasksRef.current.filter(t => selectedIds.has(String(t.id)) && String(t.id) !== hit.taskId)
+        .map(task => ({ task, el: cc.querySelector(`[data-taskid="${CSS.escape(String(task.id))}"]`) }));
+    } else {
+      selectTasks([hit.taskId]);
+    }
+    capturePointer(e);
+    beginFromElement(hit.el, hit.task, mode, e.clientX, e.clientY, followers, e.pointerId);
     e.preventDefault();
   };
 
+  // ---------- Touch ----------
+  // One finger: a long press grabs (bar → drag, empty space → paint), a tap selects, moving first scrolls.
+  // Two fingers pinch-zoom the time scale around their midpoint.
+  const touchRef = useRef({ points: new Map(), press: null, pinch: null, dragging: false });
+
+  const onTouchTap = (p) => {
+    setSelectedDep(null);
+    const hit = pickBarAt(p.clientX, p.clientY);
+    setHoveredId(hit?.taskId || null); // shows its link handles
+    if (!hit){ if (selectedIds.size) selectTasks([]); return; }
+    setFocusedId(hit.taskId);
+    selectTasks([hit.taskId]);
+  };
+
+  const onSurfacePointerDown = (e) => {
+    if (e.pointerType !== 'touch') return onSurfaceDown(e);
+    const tr = touchRef.current;
+    tr.points.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (tr.points.size === 2 && !tr.dragging){
+      clearTimeout(tr.press?.timer);
+      tr.press = null;
+      const [a, b] = [...tr.points.values()];
+      tr.pinch = { dist: Math.hypot(a.x - b.x, a.y - b.y) };
+      return;
+    }
+    if (tr.points.size > 1) return;
+    const p = { clientX: e.clientX, clientY: e.clientY, button: 0, pointerId: e.pointerId, pointerType: 'touch', preventDefault(){} };
+    tr.press = { ...p, timer: setTimeout(() => { tr.press = null; tr.dragging = true; onSurfaceDown(p); }, LONG_PRESS_MS) };
+  };
+
+  const onSurfacePointerMove = (e) => {
+    if (e.pointerType !== 'touch') return onSurfaceMove(e);
+    const tr = touchRef.current;
+    if (!tr.points.has(e.pointerId)) return;
+    tr.points.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (tr.press && Math.hypot(e.clientX - tr.press.clientX, e.clientY - tr.press.clientY) > LONG_PRESS_SLOP_PX){
+      clearTimeout(tr.press.timer);
+      tr.press = null;
+    }
+    const cs = chartScrollRef.current;
+    if (tr.pinch && tr.points.size === 2 && cs){
+      const [a, b] = [...tr.points.values()];
+      const dist = Math.hypot(a.x - b.x, a.y - b.y);
+      const x = (a.x + b.x)/2 - cs.getBoundingClientRect().left;
+      if (tr.pinch.dist > 0 && dist > 0) zoomAt(scaleRef.current.toTime(cs.scrollLeft + x), x, dist / tr.pinch.dist);
+      tr.pinch.dist = dist;
+    }
+  };
+
+  const onSurfacePointerUp = (e) => {
+    if (e.pointerType !== 'touch') return;
+    const tr = touchRef.current;
+    tr.points.delete(e.pointerId);
+    if (tr.press){
+      clearTimeout(tr.press.timer);
+      if (e.type === 'pointerup') onTouchTap(tr.press);
+      tr.press = null;
+    }
+    if (tr.points.size < 2) tr.pinch = null;
+    if (!tr.points.size) tr.dragging = false;
+  };
+
+  // Scrolling is left to the browser (touch-action) until a drag or a pinch owns the touch
+  useEffect(() => {
+    const cc = chartContentRef.current;
+    if (!cc) return;
+    const onTouchMove = (e) => {
+      if (touchRef.current.dragging || e.touches.length > 1) e.preventDefault();
+    };
+    cc.addEventListener('touchmove', onTouchMove, { passive: false });
+    return () => { cc.removeEventListener('touchmove', onTouchMove); clearTimeout(touchRef.current.press?.timer); };
+  }, []);
+
+  // ---------- Export ----------
+  // format: 'svg' | 'png' | 'pdf' → Blob of the whole range and every row (pixelRatio: PNG/PDF resolution);
+  // a PNG too large for one canvas comes back as an array of tile Blobs
+  const exportChart = async (format, { pixelRatio = 2 } = {}) => {
+    const sc = scaleRef.current, g = geomMapRef.current;
+    const withHours = UNIT_MS[pickTimelineTiers(sc.pxPerMs).minor.unit] < DAY_MS;
+    const bands = new Map();
+    const c = {
+      scale: sc, rows: g.rows, totalHeight: g.totalHeight, headerPx: HEADER_PX + (zone2 ? ZONE2_ROW_PX : 0),
+      boxOf: barBox, arrows: dependencyArrows(indexDependencies(g.byTask).links, barBox),
+      shadingOf: (row) => {
+        const cal = calendarOf(row.resource, calendar, zone);
+        if (!bands.has(cal)) bands.set(cal, nonWorkingBands(sc.start, sc.end, cal, withHours, zone));
+        return bands.get(cal);
+      },
+      cal: calendarOf(null, calendar, zone), zone, zone2, groupSummary,
+      colorOf: (t) => t.color || colorFor(resourceHash(t.resourceId), DEFAULT_PALETTE),
+      isCritical: (t) => !!cpm.byId.get(String(t.id))?.critical,
+    };
+    if (format === 'svg') return new Blob([chartSvg(c)], { type: 'image/svg+xml' });
+    if (format === 'png') return chartPng(c, pixelRatio);
+    if (format === 'pdf') return chartPdf(c, pixelRatio);
+    throw new Error(`Unknown export format "${format}" (svg, png or pdf)`);
+  };
+
+  // Toolbar: onExport(blob, { format, filename }) takes the file, else it is downloaded
+  const runExport = async (format) => {
+    setExportNote('Exporting…');
+    try {
+      const result = await exportChart(format);
+      const blobs = Array.isArray(result) ? result : [result];
+      const name = `gantt-${toDayString(new Date(scaleRef.current.start), zone)}`;
+      blobs.forEach((blob, i) => {
+        const filename = `${name}${blobs.length > 1 ? `-${i + 1}` : ''}.${format}`;
+        if (typeof onExport === 'function') onExport(blob, { format, filename });
+        else downloadBlob(blob, filename);
+      });
+      setExportNote('');
+    } catch (err){
+      setExportNote(`Export failed: ${err.message}`);
+    }
+  };
+
+  // ---------- Data interchange ----------
+  // format: 'ics' | 'csv' | 'msproject' → text of every task (options as tasksToICS / tasksToCSV / ganttToMSProject),
+  // no format → { tasks, resources } snapshot
+  const exportData = (format, options = {}) =>
+    exportTaskData(format, tasksRef.current, resources, { palette, calendar, timeZone, ...options });
+
+  // Parsed tasks with a known id update that task, the others are created — one undoable batch (mode 'import').
+  // Recurrences expand within the visible range unless options.range says otherwise. → { tasks, errors }
+  const importData = (format, text, options = {}) => {
+    const parse = format === 'ics' ? icsToTasks : format === 'csv' ? csvToTasks : null;
+    if (!parse) throw new Error(`Unknown data format "${format}" (ics or csv)`);
+    // rows without an id get fresh ones, so a second file adds its tasks instead of replacing the first's
+    const result = parse(text, { resources, timeZone, range: visibleRange, newId: newTaskId, ...options });
+    const byId = new Map(tasksRef.current.map(t => [String(t.id), t]));
+    const changes = result.tasks.map(t => {
+      const prev = byId.get(String(t.id)) || null;
+      return { prev, next: normalizeTask({ ...prev, ...t }, palette) };
+    });
+    applyTaskChanges(changes, { mode: 'import', format });
+    return result;
+  };
+
+  // ---------- Programmatic control (ref) ----------
+  // Brings a task into view, opening collapsed groups above it (the bar may need a render first).
+  // false for unknown tasks and tasks the filter hides.
+  const scrollToTask = (id) => {
+    const key = String(id);
+    const task = tasksRef.current.find(t => String(t.id) === key);
+    if (!task) return false;
+    if (filterMatch && ((activeFilter.mode === 'hide' && !filterMatch.tasks.has(key))
+                        || (activeFilter.onlyMatchingRows && !filterMatch.rows.has(task.resourceId)))) return false;
+    const closed = (treePath(tree.roots, task.resourceId) || []).filter(n => n.children.length && !isExpanded(n.resource.id));
+    if (closed.length) setGroupsOpen(closed.map(n => n.resource.id), true);
+    const t = task.start.getTime(), sc = scaleRef.current;
+    const outside = t < sc.start || t > sc.end;
+    if (outside) focusAxis(t, 40);
+    if (closed.length || outside) pendingRevealRef.current = key;
+    else revealTask(key);
+    return true;
+  };
+  const revealTask = (key) => {
+    const hit = geomMapRef.current.byTask.get(key);
+    const box = hit && barBox(hit.row, hit.item);
+    if (box) scrollBoxIntoView(box);
+  };
+  useLayoutEffect(() => {
+    const key = pendingRevealRef.current;
+    if (key == null) return;
+    pendingRevealRef.current = null;
+    revealTask(key);
+  }, [geometry, scale]);
+
+  // Puts the date at the left edge (align 'center': the middle), keeping the zoom
+  const scrollToDate = (date, { align = 'start' } = {}) => {
+    const t = +new Date(date);
+    if (isNaN(t)) throw new Error(`Invalid date "${date}"`);
+    focusAxis(t, align === 'center' ? viewportPx() / 2 : 0);
+  };
+
+  // Zooms so that [start, end] fills the viewport (free zoom, within the zoom limits)
+  const setRange = ({ start, end }) => {
+    const s = +new Date(start), e = +new Date(end);
+    if (isNaN(s) || isNaN(e) || e <= s) throw new Error('setRange needs a start before its end');
+    focusAxis(s, 0, clamp(viewportPx() / (e - s), MIN_PX_PER_MS, MAX_PX_PER_MS));
+    setPreset('');
+  };
+
+  const setViewApi = (v, p = defaultPresetFor(v)) => {
+    if (!VIEW_PRESETS[v]) throw new Error(`Unknown view "${v}" (hour, week or month)`);
+    if (!findPreset(v, p)) throw new Error(`Unknown preset "${p}" for the ${v} view`);
+    changeView(v, p);
+  };
+
+  const getVisibleRange = () => {
+    const cs = chartScrollRef.current, sc = scaleRef.current;
+    const x = cs?.scrollLeft || 0;
+    return { start: new Date(sc.toTime(x)), end: new Date(sc.toTime(x + viewportPx())) };
+  };
+
+  // Bar position: x/y/width/height in chart content px (they move when the range re-centres), clientRect in
+  // viewport coordinates, inView whether any of it is scrolled into view. null while the task has no bar
+  // (unknown, filtered out or inside a collapsed group).
+  const getTaskGeometry = (id) => {
+    const hit = geomMapRef.current.byTask.get(String(id));
+    if (!hit) return null;
+    const sc = scaleRef.current, cs = chartScrollRef.current;
+    const { row, item } = hit;
+    const x = sc.toX(item.seg.start), y = row.top + 6 + item.lane * laneOffset;
+    const width = Math.max(4, sc.toX(item.seg.end) - x), height = BASE_ROW_PX - 12;
+    const origin = chartContentRef.current?.getBoundingClientRect() || { left: 0, top: 0 };
+    const inView = !!cs && x + width > cs.scrollLeft && x < cs.scrollLeft + cs.clientWidth
+                   && y + height > cs.scrollTop && y < cs.scrollTop + cs.clientHeight;
+    return { x, y, width, height, resourceId: row.resource.id, lane: item.lane, inView,
+             clientRect: { left: origin.left + x, top: origin.top + y, width, height } };
+  };
+
+  // ids replace the selection (additive: toggled into it); unknown ids are ignored
+  const select = (ids, { additive = false } = {}) => {
+    const known = new Set(tasksRef.current.map(t => String(t.id)));
+    selectTasks([].concat(ids ?? []).map(String).filter(id => known.has(id)), additive);
+  };
+
+  useImperativeHandle(ref, () => ({
+    scrollToTask, scrollToDate, setView: setViewApi, setRange, select, getVisibleRange, getTaskGeometry,
+    exportChart, exportData, importData,
+  }));
+
+  const viewMounted = useRef(false);
+  useEffect(() => {
+    if (!viewMounted.current){ viewMounted.current = true; return; }
+    if (typeof onViewChange === 'function') onViewChange({ view, preset });
+  }, [view, preset]);
+
+  const presetOptions = VIEW_PRESETS[view] || [];
+  const visibleRows = rowsInWindow(geometry.rows, renderWin.y0, renderWin.y1);
+  // The grid itself is the tab stop while the focused bar is not mounted
+  const focusHit = focusedId != null ? geometry.byTask.get(focusedId) : null;
+  const focusBox = focusHit && visibleRows.includes(focusHit.row) && barBox(focusHit.row, focusHit.item);
+  const tabStopMounted = !!focusBox && focusBox.leftPx + focusBox.widthPx >= renderWin.x0 && focusBox.leftPx <= renderWin.x1;
+
   return (
-    <div id="gantt-root" className="w-full h-full bg-gray-900 text-gray-100 select-none">
+    <div id="gantt-root" className="relative w-full h-full bg-gray-900 text-gray-100 select-none outline-none"
+         tabIndex={-1} onKeyDown={onHistoryKeyDown}
+         style={{ '--gantt-left-col': gridWidth != null ? `${gridWidth}px` : '20%' }}>
       {/* Header */}
       <div id="gantt-header-grid" className="grid" style={{ gridTemplateColumns: 'var(--gantt-left-col) 1fr' }}>
-        <div id="gantt-title" className="pl-3 pr-0 py-3 border-b border-gray-700 w-fit">
-          <h2 className="text-lg font-semibold text-gray-200 whitespace-nowrap">Resources</h2>
+        <div id="gantt-title" className="flex flex-col min-w-0 border-b border-gray-700">
+          <div className="pl-3 pt-3 pb-2">
+            <h2 className="text-lg font-semibold text-gray-200 whitespace-nowrap">Resources</h2>
+            {zone2 && <div className="text-xs text-gray-400 whitespace-nowrap">{zone.name || 'Local time'} · lower row: {zone2.name}</div>}
+          </div>
+          {/* Column headers: click sorts (asc → desc → off), drag reorders (Alt+←/→ too), the right edge resizes */}
+          <div id="gantt-column-headers" className="relative mt-auto flex overflow-hidden" style={{ height: HEADER_PX + (zone2 ? ZONE2_ROW_PX : 0) }}>
+            {columns.map((col, i) => {
+              const dir = sortColumn?.id === col.id ? columnLayout.sort.dir : null;
+              return (
+                <div key={col.id} className="relative flex items-end"
+                     style={{ width: col.width, flex: i === columns.length - 1 ? '1 0 auto' : 'none',
+                              boxShadow: columnDrop?.index === i ? 'inset 2px 0 0 #60A5FA' : columnDrop?.index === columns.length && i === columns.length - 1 ? 'inset -2px 0 0 #60A5FA' : undefined,
+                              opacity: columnDrop?.id === col.id ? 0.5 : 1 }}>
+                  <button type="button" className="w-full min-w-0 flex items-center gap-1 px-2 pb-2 text-xs font-semibold uppercase tracking-wide text-gray-400 hover:text-gray-100"
+                          style={{ justifyContent: ALIGN_FLEX[col.align], paddingLeft: i === 0 ? 12 : undefined, cursor: col.sortable ? 'pointer' : 'default', touchAction: 'none' }}
+                          aria-sort={dir ? (dir === 'asc' ? 'ascending' : 'descending') : undefined}
+                          title={col.sortable ? `Sort by ${columnLabel(col)}` : undefined}
+                          onPointerDown={(e) => beginColumnDrag(e, col)} onClick={() => onColumnHeaderClick(col)}
+                          onKeyDown={(e) => onColumnHeaderKeyDown(e, col)}>
+                    <span className="truncate">{col.header}</span>
+                    {dir && <span aria-hidden="true">{dir === 'asc' ? '▲' : '▼'}</span>}
+                  </button>
+                  <div className="absolute top-0 bottom-0 right-0 w-1.5 cursor-col-resize hover:bg-blue-400/40" style={{ touchAction: 'none' }}
+                       aria-hidden="true" onPointerDown={(e) => beginColumnResize(e, col)} />
+                </div>
+              );
+            })}
+          </div>
         </div>
         <div id="gantt-header-right" className="border-l border-gray-700">
           <div id="gantt-controls" className="flex flex-wrap gap-3 items-center px-3 py-2">
+            {/* Filter (words search titles and resource names; field:value, field>n, -field:value filter) */}
+            <div id="gantt-filter" className="ctrl flex items-center gap-2">
+              <input type="search" className="bg-gray-800 border border-gray-700 rounded px-2 py-1 w-56" value={activeFilter.query}
+                     placeholder="Filter, e.g. crane skill:HVAC" aria-label="Filter resources and tasks"
+                     title="Words match task titles and resource names; field:value, field=value, field>n, field<n, -field:value filter on task or resource fields (task.x / resource.x to pick one)"
+                     onChange={e=> updateFilter({ query: e.target.value })} onKeyDown={e=>{ if (e.key === 'Escape') updateFilter({ query: '' }); }} />
+              <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={activeFilter.mode} aria-label="Non-matching tasks"
+                      onChange={e=> updateFilter({ mode: e.target.value })}>
+                <option value="dim">Dim others</option>
+                <option value="hide">Hide others</option>
+              </select>
+              <label className="text-sm text-gray-300 flex items-center gap-1">
+                <input type="checkbox" checked={!!activeFilter.onlyMatchingRows} onChange={e=> updateFilter({ onlyMatchingRows: e.target.checked })} />
+                Rows with matches
+              </label>
+              {filterMatch && <span id="gantt-filter-count" className="text-sm text-gray-400" aria-live="polite">{filterMatch.tasks.size} of {tasks.length} tasks</span>}
+            </div>
+
             {/* View selector */}
             <div className="ctrl flex items-center gap-2">
               <label className="text-sm text-gray-300">View:</label>
               <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={view}
-                      onChange={e=>{ const v=e.target.value; setView(v); setPreset(defaultPresetFor(v)); }}>
+                      onChange={e=> changeView(e.target.value)}>
                 <option value="hour">Hour</option>
                 <option value="week">Week</option>
                 <option value="month">Month</option>
               </select>
             </div>
 
-            {/* Preset selector follows the active view */}
+            {/* Preset selector follows the active view ('Custom' after a free zoom) */}
             <div className="ctrl flex items-center gap-2">
               <label className="text-sm text-gray-300">Preset:</label>
-              {view==='hour' && (
-                <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={preset} onChange={e=>setPreset(e.target.value)}>
-                  {['4 Hours','6 Hours','12 Hours','18 Hours','24 Hours'].map(p=> <option key={p} value={p}>{p}</option>)}
-                </select>
-              )}
-              {view==='week' && (
-                <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={preset} onChange={e=>setPreset(e.target.value)}>
-                  {['Work Week','Full Week'].map(p=> <option key={p} value={p}>{p}</option>)}
-                </select>
-              )}
-              {view==='month' && (
-                <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={preset} onChange={e=>setPreset(e.target.value)}>
-                  {['7 Days','14 Days','Full Month'].map(p=> <option key={p} value={p}>{p}</option>)}
-                </select>
-              )}
+              <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={preset}
+                      onChange={e=>{ const p=e.target.value; if (!p) return; setPreset(p); applyPreset(view, p, visibleCenter); }}>
+                {!preset && <option value="">Custom</option>}
+                {presetOptions.map(p=> <option key={p.label} value={p.label}>{p.label}</option>)}
+              </select>
             </div>
 
-            {/* Month picker */}
+            {/* Anchor picker follows the active view: day (Hour), ISO week (Week), month (Month) */}
             <div className="ctrl flex items-center gap-2">
-              <label className="text-sm text-gray-300">Month:</label>
-              <input id="gantt-month" type="month" className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
-                     value={anchorMonth} onChange={e=>setAnchorMonth(e.target.value)} />
+              {view==='hour' && (<>
+                <label className="text-sm text-gray-300">Day:</label>
+                <input id="gantt-day" type="date" className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
+                       value={toDayString(visibleCenter, zone)}
+                       onChange={e=>{ if (e.target.value) goTo(parseDayString(e.target.value, zone)); }} />
+              </>)}
+              {view==='week' && (<>
+                <label className="text-sm text-gray-300">Week:</label>
+                <input id="gantt-week" type="week" className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
+                       value={toISOWeekString(visibleCenter, zone)}
+                       onChange={e=>{ const d = parseISOWeekString(e.target.value, zone); if (d) goTo(d); }} />
+              </>)}
+              {view==='month' && (<>
+                <label className="text-sm text-gray-300">Month:</label>
+                <input id="gantt-month" type="month" className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
+                       value={toDayString(visibleCenter, zone).slice(0, 7)}
+                       onChange={e=>{ if (e.target.value) goTo(parseDayString(`${e.target.value}-01`, zone)); }} />
+              </>)}
             </div>
 
-            {/* Date label */}
+            {/* Prev / Today / Next */}
+            <div className="ctrl flex items-center gap-1">
+              <button type="button" className="bg-gray-800 border border-gray-700 rounded px-2 py-1" title="Previous"
+                      onClick={()=>shiftAnchor(-1)}>‹</button>
+              <button type="button" className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
+                      onClick={()=>goTo(new Date())}>Today</button>
+              <button type="button" className="bg-gray-800 border border-gray-700 rounded px-2 py-1" title="Next"
+                      onClick={()=>shiftAnchor(1)}>›</button>
+            </div>
+
+            {/* Undo / Redo */}
+            <div className="ctrl flex items-center gap-1">
+              <button type="button" className="bg-gray-800 border border-gray-700 rounded px-2 py-1 disabled:opacity-40" title="Undo (Ctrl+Z)"
+                      disabled={!historySize.undo} onClick={()=>stepHistory(-1)}>↶ Undo</button>
+              <button type="button" className="bg-gray-800 border border-gray-700 rounded px-2 py-1 disabled:opacity-40" title="Redo (Ctrl+Shift+Z)"
+                      disabled={!historySize.redo} onClick={()=>stepHistory(1)}>↷ Redo</button>
+            </div>
+
+            {/* Date label: the calendar span currently visible */}
             <div className="ctrl text-sm text-gray-400">
-              <span id="gantt-date-label">{formatDateDisplay(new Date())}</span>
+              <span id="gantt-date-label">{formatVisibleRange(visibleRange.start, visibleRange.end, zone)}</span>
             </div>
 
-            {/* Snap selector (adapts to view/preset) */}
+            {/* Snap selector (adapts to zoom) */}
             <div className="ctrl flex items-center gap-2">
               <label className="text-sm text-gray-300">Snap:</label>
               <select
                 className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
-                value={String(snapUnits)}
-                onChange={(e)=> setSnapUnits(parseFloat(e.target.value))}
+                value={String(snapMs)}
+                onChange={(e)=> setSnapMs(parseFloat(e.target.value))}
               >
-                {getSnapOptions(view, preset).map(o => (
-                  <option key={o.label} value={String(o.units)}>{o.label}</option>
+                {snapOptions.map(o => (
+                  <option key={o.label} value={String(o.ms)}>{o.label}</option>
                 ))}
               </select>
+              <label className="text-sm text-gray-300 flex items-center gap-1" title="Snap edges out of nights, weekends and holidays; moves keep the working duration">
+                <input type="checkbox" checked={workingTimeOnly} onChange={e=> setWorkingTimeOnly(e.target.checked)} />
+                Working time
+              </label>
             </div>
 
             {/* Lane offset */}
@@ -323,74 +1655,287 @@ export default function RobustGantt({
                 {Array.from({length:20},(_,i)=>i+1).map(v => <option key={v} value={v}>{v}</option>)}
               </select>
             </div>
-          </div>
 
-          {/* Timeline (purely visual, scrolls via transform) */}
-          <div id="gantt-timeline-scroll" className="w-full overflow-x-hidden overflow-y-hidden border-b border-gray-700">
-            <div id="gantt-timeline-content" ref={timelineContentRef} className="relative h-12" />
-          </div>
+            {/* Load histogram */}
+            <div className="ctrl flex items-center gap-2">
+              <label className="text-sm text-gray-300">Load:</label>
+              <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={loadView}
+                      onChange={e=> setLoadView(e.target.value)}>
+                <option value="off">Off</option>
+                <option value="rows">Per row</option>
+                <option value="footer">Footer</option>
+              </select>
+            </div>
+
+            {/* Scheduling mode */}
+            <div className="ctrl flex items-center gap-2">
+              <label className="text-sm text-gray-300">Schedule:</label>
+              <select className="bg-gray-800 border border-gray-700 rounded px-2 py-1" value={scheduleMode}
+                      onChange={e=> setScheduleMode(e.target.value)}>
+                <option value="push">Push successors</option>
+                <option value="warn">Warn only</option>
+              </select>
+              {scheduleNote && <span id="gantt-schedule-note" className="text-sm text-amber-300">{scheduleNote}</span>}
+            </div>
+
+            {/* Export (whole range, every row) */}
+            <div className="ctrl flex items-center gap-1">
+              <label className="text-sm text-gray-300 mr-1">Export:</label>
+              {['svg', 'png', 'pdf'].map(f => (
+                <button key={f} type="button" className="bg-gray-800 border border-gray-700 rounded px-2 py-1"
+                        onClick={()=>runExport(f)}>{f.toUpperCase()}</button>
+              ))}
+              {exportNote && <span id="gantt-export-note" className="text-sm text-amber-300 ml-1">{exportNote}</span>}
+            </div>
+          </div>
+
+          {/* Timeline (purely visual, scrolls via transform) */}
+          <div id="gantt-timeline-scroll" className="w-full overflow-x-hidden overflow-y-hidden border-b border-gray-700">
+            <div id="gantt-timeline-content" ref={timelineContentRef} className="relative" style={{ height: HEADER_PX + (zone2 ? ZONE2_ROW_PX : 0) }} />
+          </div>
         </div>
       </div>
 
       {/* Body */}
-      <div className="flex" style={{ height: 'calc(100vh - 120px)' }}>
-        {/* Left table */}
+      <div className="flex" style={{ height: `calc(100vh - ${120 + (loadView === 'footer' ? LOAD_FOOTER_PX : 0) + (zone2 ? ZONE2_ROW_PX : 0)}px)` }}>
+        {/* Left table (the grid's row headers speak for it; only the group toggles are exposed) */}
         <div id="gantt-table-left" ref={tableLeftRef} className="overflow-hidden border-r border-gray-700"
              style={{ width: 'var(--gantt-left-col)', minWidth: 'var(--gantt-left-col)' }}>
-          <div className="h-full">
-            {resources.map((r, idx) => {
-              const info = rowLayout.get(r.id) || { rowHeight: BASE_ROW_PX };
-              return (
-                <div key={r.id} className="flex items-center px-4 border-b border-gray-700"
-                     style={{ height: `${info.rowHeight}px`, background: idx%2===0? 'var(--gantt-bg-odd)' : 'var(--gantt-bg-even)'}}>
-                  <div className="text-sm font-medium text-gray-200 truncate">{r.name}</div>
-                </div>
-              );
-            })}
+          <div className="relative" style={{ height: `${geometry.totalHeight}px` }}>
+            {visibleRows.map(({ resource: r, idx, top, height, info, depth, group, rollup }) => (
+              <div key={r.id} className="absolute left-0 right-0 flex border-b border-gray-700"
+                   style={{ top: `${top}px`, height: `${height}px`, background: idx%2===0? 'var(--gantt-bg-odd)' : 'var(--gantt-bg-even)',
+                            paddingBottom: info.histPx, boxShadow: dropTargetShadow(dropTarget, r.id) }}>
+                {columns.map((col, i) => {
+                  const stats = resourceStats.get(r.id);
+                  const v = columnValue(col, r, stats);
+                  // renderResourceCell replaces the built-in name cell (a column's own render wins)
+                  const cell = col.id === 'name' && !col.render && typeof renderResourceCell === 'function'
+                    ? renderResourceCell({ resource: r, row: { top, height, depth, lanes: info.laneCount }, group, rollup, stats,
+                                           state: { conflicts: info.conflicts.ids.size, hidden: info.hidden, dropTarget: dropTarget?.resourceId === r.id ? dropTarget.allowed : null } })
+                    : isBlankCell(v) ? null : col.render ? col.render(v, r, stats) : cellText(col, v, zone);
+                  return (
+                    <div key={col.id} className={`flex items-center min-w-0 text-sm ${i === 0 ? '' : 'px-2 text-gray-300'}`}
+                         style={{ width: col.width, flex: i === columns.length - 1 ? '1 0 auto' : 'none', justifyContent: ALIGN_FLEX[col.align],
+                                  paddingLeft: i === 0 ? (tree.groups.length ? 4 + depth * GROUP_INDENT_PX : 12) : undefined, paddingRight: i === 0 ? 8 : undefined }}>
+                      {i === 0 && group && (
+                        <button type="button" className="w-5 shrink-0 text-xs text-gray-400 hover:text-gray-100" aria-expanded={group.open}
+                                aria-label={`${group.open ? 'Collapse' : 'Expand'} ${r.name ?? r.id}`} onClick={() => toggleGroup(r.id)}>
+                          {group.open ? '▾' : '▸'}
+                        </button>
+                      )}
+                      {i === 0 && !group && tree.groups.length > 0 && <span className="w-5 shrink-0" />}
+                      <div className={`truncate ${i === 0 ? `text-gray-200 ${group ? 'font-semibold' : 'font-medium'}` : ''}`} aria-hidden="true">{cell}</div>
+                      {i === 0 && (
+                        <>
+                          {rollup && <span className="ml-auto shrink-0 pl-2 text-xs text-gray-400" aria-hidden="true">{rollup.count} tasks</span>}
+                          {info.conflicts.ids.size > 0 && (
+                            <span className="ml-auto shrink-0 rounded px-1 text-xs font-semibold text-white bg-red-600" aria-hidden="true"
+                                  title={`${info.conflicts.pairs.length} conflicting pair(s), capacity ${r.capacity ?? 1}`}>
+                              ⚠ {info.conflicts.ids.size}
+                            </span>
+                          )}
+                          {info.hidden > 0 && (
+                            <span className={`${info.conflicts.ids.size ? 'ml-1' : 'ml-auto'} shrink-0 rounded px-1 text-xs text-gray-200 bg-gray-600`} aria-hidden="true">
+                              +{info.hidden} hidden
+                            </span>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            ))}
           </div>
         </div>
 
+        {/* Splitter between the grid and the chart */}
+        <div id="gantt-splitter" className="absolute top-0 bottom-0 z-20 w-1.5 cursor-col-resize hover:bg-blue-400/40 focus:bg-blue-400/60 outline-none"
+             style={{ left: 'calc(var(--gantt-left-col) - 3px)', touchAction: 'none' }}
+             role="separator" aria-orientation="vertical" aria-label="Resize resource columns" tabIndex={0}
+             aria-valuenow={gridWidth ?? undefined} aria-valuemin={MIN_GRID_PX}
+             onPointerDown={beginSplitterDrag} onKeyDown={onSplitterKeyDown} />
+
         {/* Bars scroller (the ONLY scrollbar) */}
         <div id="gantt-chart-scroll" ref={chartScrollRef} className="relative flex-1 overflow-auto">
-          <div id="gantt-chart-content" ref={chartContentRef} className="relative"
-               onMouseMove={onSurfaceMove} onMouseDown={onSurfaceDown}
+          <div id="gantt-chart-content" ref={chartContentRef} className="relative outline-none"
+               style={{ height: `${geometry.totalHeight}px`, touchAction: 'pan-x pan-y' }}
+               role={tree.groups.length ? 'treegrid' : 'grid'} aria-label="Tasks by resource" aria-rowcount={geometry.rows.length} aria-multiselectable="true"
+               aria-describedby={`${markerId}-keys`} tabIndex={tabStopMounted ? -1 : 0}
+               onPointerMove={onSurfacePointerMove} onPointerDown={onSurfacePointerDown}
+               onPointerUp={onSurfacePointerUp} onPointerCancel={onSurfacePointerUp}
+               onKeyDown={onGridKeyDown} onFocus={onGridFocus}
           >
-            {resources.map((r, rowIdx) => {
-              const info = rowLayout.get(r.id) || { items: [], laneCount: 1, rowHeight: BASE_ROW_PX };
-              const rowH = info.rowHeight;
+            {visibleRows.map(({ resource: r, idx: rowIdx, top, height: rowH, info, depth, group, rollup, synthetic }) => {
               return (
-                <div key={r.id} className="relative border-b border-gray-800"
-                     style={{ height: `${rowH}px`, background: rowIdx%2===0? 'var(--gantt-bg-odd)' : 'var(--gantt-bg-even)'}}>
+                <div key={r.id} className="absolute left-0 right-0 border-b border-gray-800"
+                     role="row" aria-rowindex={rowIdx + 1} aria-level={tree.groups.length ? depth + 1 : undefined}
+                     aria-expanded={group ? group.open : undefined}
+                     style={{ top: `${top}px`, height: `${rowH}px`, background: rowIdx%2===0? 'var(--gantt-bg-odd)' : 'var(--gantt-bg-even)',
+                              boxShadow: dropTargetShadow(dropTarget, r.id) }}>
+                  <span role="rowheader" className="sr-only">
+                    {r.name}
+                    {columns.map(col => {
+                      if (col.accessor === 'name' || typeof col.header !== 'string') return null;
+                      const text = cellText(col, columnValue(col, r, resourceStats.get(r.id)), zone);
+                      return text && `, ${col.header}: ${text}`;
+                    })}
+                    {info.conflicts.ids.size > 0 && `, ${info.conflicts.ids.size} over-allocated tasks`}
+                    {info.hidden > 0 && `, ${info.hidden} hidden tasks`}
+                    {rollup && `, collapsed, ${rollup.count} tasks`}
+                  </span>
+                  {rowShading.get(r.id)?.map(([s, e]) => {
+                    const left = Math.round(scale.toX(s));
+                    return <div key={s} className="absolute top-0 bottom-0" aria-hidden="true" style={{ left, width: Math.round(scale.toX(e)) - left, background: NONWORK_ROW_RGBA, pointerEvents: 'none' }} />;
+                  })}
                   {info.items?.map(({ task, seg, lane }) => {
-                    const { leftPx, widthPx, label } = segToPixels(seg, scale);
+                    const px = segToPixels(seg, scale);
+                    if (!px) return null; // outside the current range
+                    if (px.leftPx + px.widthPx < renderWin.x0 || px.leftPx > renderWin.x1) return null; // culled
+                    const { leftPx, widthPx, label, clippedStart, clippedEnd } = px;
                     const color = task.color || colorFor(resourceHash(task.resourceId), DEFAULT_PALETTE);
                     const topPx = 6 + lane * laneOffset;
-                    const isHover = hoveredId === task.id;
+                    const isHover = hoveredId === String(task.id);
+                    const isSelected = selectedIds.has(String(task.id));
+                    const isFocused = barFocused && focusedId === String(task.id);
                     const heightPx = BASE_ROW_PX - 12;
+                    const sched = cpm.byId.get(String(task.id));
+                    const conflict = info.conflicts.ids.has(String(task.id));
+                    const dimmed = !!filterMatch && !filterMatch.tasks.has(String(task.id));
+                    const bar = {
+                      task, resource: r, lane, label, color,
+                      geometry: { left: leftPx, top: top + topPx, width: widthPx, height: heightPx, clippedStart, clippedEnd },
+                      state: { hovered: isHover, selected: isSelected, focused: isFocused, critical: !!sched?.critical, conflict, dimmed },
+                    };
+                    const hoverTip = isHover ? hoverTipContent(bar, sched) : null;
+                    // renderBar(...) → bar content; undefined keeps the label
+                    const body = typeof renderBar === 'function' ? renderBar(bar) : undefined;
                     return (
-                      <div key={task.id}
+                      <React.Fragment key={task.id}>
+                      {hoverTip != null && hoverTip !== '' && (
+                        <div className={`absolute rounded text-gray-100 ${typeof renderTooltip === 'function' ? 'px-2 py-1 text-xs' : 'px-1 text-[10px] whitespace-nowrap'}`}
+                             aria-hidden="true"
+                             style={{ left: leftPx, top: top + topPx >= 18 ? topPx - 2 : topPx + heightPx + 2, zIndex: 15,
+                                      transform: top + topPx >= 18 ? 'translateY(-100%)' : undefined,
+                                      background: 'var(--gantt-tooltip-bg)', pointerEvents: 'none' }}>
+                          {hoverTip}
+                        </div>
+                      )}
+                      <div
                            id={`bar-${task.id}`}
                            data-bar="1"
                            data-taskid={task.id}
+                           data-clip-l={clippedStart ? '1' : undefined}
+                           data-clip-r={clippedEnd ? '1' : undefined}
+                           role="gridcell" aria-selected={isSelected} tabIndex={focusedId === String(task.id) ? 0 : -1}
+                           aria-label={`${task.title || task.id}, ${fmtDateTime(task.start, zone)} – ${fmtDateTime(task.end, zone)}`
+                                       + (sched?.critical ? ', critical' : '') + (conflict ? ', over-allocated' : '') + (dimmed ? ', no match' : '')}
+                           onFocus={() => { setFocusedId(String(task.id)); setBarFocused(true); }} onBlur={() => setBarFocused(false)}
                            className="absolute rounded text-xs text-white px-2 flex items-center"
                            style={{ left: leftPx, width: widthPx, top: topPx, height: `${heightPx}px`,
-                                    background: color, whiteSpace:'nowrap', overflow:'hidden',
-                                    outline: isHover? '2px solid rgba(255,255,255,0.35)' : 'none',
+                                    background: color, whiteSpace:'nowrap', overflow:'hidden', opacity: dimmed ? FILTER_DIM_OPACITY : undefined,
+                                    backgroundImage: conflict ? CONFLICT_HATCH : undefined,
+                                    // square edge where the task continues outside the range
+                                    ...(clippedStart ? { borderTopLeftRadius: 0, borderBottomLeftRadius: 0 } : null),
+                                    ...(clippedEnd ? { borderTopRightRadius: 0, borderBottomRightRadius: 0 } : null),
+                                    outline: isFocused ? '2px solid #fff' : isSelected ? `2px solid ${SELECTED_RGBA}` : isHover ? '2px solid rgba(255,255,255,0.35)' : 'none',
+                                    outlineOffset: isFocused || isSelected ? 1 : 0,
+                                    boxShadow: sched?.critical ? `inset 0 0 0 2px ${CRITICAL_RGBA}` : 'none',
                                     pointerEvents: 'none' /* events handled at container for precise hit‑testing */ }}
                       >
-                        <span className="truncate w-full text-center">{label}</span>
+                        {body !== undefined
+                          ? <span className="flex items-center w-full h-full min-w-0" aria-hidden="true">{body}</span>
+                          : <span className="truncate w-full text-center" aria-hidden="true">{label}</span>}
+                      </div>
+                      </React.Fragment>
+                    );
+                  })}
+                  {rollup && renderGroupRollup(rollup, groupSummary, scale, rowH)}
+                  {/* renderEmptyRow: shown at the left of the viewport on a task row without bars (painting still works over it) */}
+                  {typeof renderEmptyRow === 'function' && !rollup && !synthetic && !info.items.length && (
+                    <div className="sticky left-0 w-fit h-full flex items-center px-3 text-xs text-gray-500" style={{ pointerEvents: 'none', paddingBottom: info.histPx }}>
+                      {renderEmptyRow({ resource: r, row: { top, height: rowH, depth }, stats: resourceStats.get(r.id),
+                                       state: { filtered: !!filterMatch, hidden: info.hidden, dropTarget: dropTarget?.resourceId === r.id ? dropTarget.allowed : null } })}
+                    </div>
+                  )}
+                  {info.histPx > 0 && (
+                    <div className="absolute left-0 right-0 bottom-0 border-t border-gray-700/60" aria-hidden="true" style={{ height: info.histPx, pointerEvents: 'none' }}>
+                      {renderLoadBuckets(rowLoad.get(r.id), scale, info.histPx - 2)}
+                    </div>
+                  )}
+                  {info.overflow.map(o => {
+                    const px = segToPixels(o, scale);
+                    if (!px || px.leftPx + px.widthPx < renderWin.x0 || px.leftPx > renderWin.x1) return null;
+                    return (
+                      <div key={`overflow-${o.start}`} className="absolute rounded px-1 text-[10px] text-white bg-gray-900/80" aria-hidden="true"
+                           style={{ left: px.leftPx + 2, top: 6 + (info.laneCount-1) * laneOffset + BASE_ROW_PX - 12 - 14, zIndex: 5, pointerEvents: 'none' }}>
+                        +{o.count} hidden
                       </div>
                     );
                   })}
                 </div>
               );
             })}
+
+            {/* Dependency arrows + link handles (only the strokes take pointer events) */}
+            <svg className="absolute left-0 top-0" width={Math.round(scale.contentPx)} height={geometry.totalHeight} aria-hidden="true"
+                 style={{ pointerEvents: 'none', overflow: 'visible', zIndex: 10 }}>
+              <defs>
+                {Object.entries(DEP_COLORS).map(([k, c]) => (
+                  <marker key={k} id={`${markerId}-${k}`} viewBox="0 0 8 8" refX="7" refY="4" markerWidth="7" markerHeight="7" orient="auto">
+                    <path d="M0,0 L8,4 L0,8 z" fill={c} />
+                  </marker>
+                ))}
+              </defs>
+              {depPaths.map(({ key, d, violated }) => {
+                const k = key === selectedDep ? 'selected' : violated ? 'violated' : 'normal';
+                return (
+                  <g key={key}>
+                    <path d={d} fill="none" stroke={DEP_COLORS[k]} strokeWidth={k === 'normal' ? 1.5 : 2}
+                          strokeDasharray={violated ? '4 3' : undefined} markerEnd={`url(#${markerId}-${k})`} />
+                    <path d={d} fill="none" stroke="transparent" strokeWidth={10} style={{ pointerEvents: 'stroke', cursor: 'pointer' }}
+                          onPointerDown={(e) => { e.stopPropagation(); e.preventDefault(); setSelectedDep(key); }} />
+                  </g>
+                );
+              })}
+              {linkHandles(hoveredId).map(h => (
+                <circle key={h.side} cx={h.x} cy={h.y} r={LINK_HANDLE_R} fill="#111827" stroke="#E5E7EB" strokeWidth={1.5} />
+              ))}
+              <line ref={linkLineRef} stroke="#E5E7EB" strokeWidth={1.5} strokeDasharray="4 3" style={{ display: 'none' }} />
+            </svg>
+            <div ref={lassoRef} className="absolute border border-sky-400 bg-sky-400/10" aria-hidden="true"
+                 style={{ display: 'none', zIndex: 25, pointerEvents: 'none' }} />
+            <div ref={ghostRef} className="absolute rounded border border-dashed border-white/70 bg-white/20" aria-hidden="true"
+                 style={{ display: 'none', height: `${BASE_ROW_PX - 12}px`, zIndex: 20, pointerEvents: 'none' }} />
           </div>
         </div>
       </div>
+
+      {/* Aggregated load footer: scrolls with the bars via transform (like the timeline) */}
+      {loadView === 'footer' && (
+        <div id="gantt-load-footer" className="grid border-t border-gray-700" style={{ gridTemplateColumns: 'var(--gantt-left-col) 1fr' }}>
+          <div className="px-4 flex items-center text-sm text-gray-300 border-r border-gray-700">Load (all resources)</div>
+          <div id="gantt-load-scroll" className="overflow-hidden" style={{ height: LOAD_FOOTER_PX }}>
+            <div id="gantt-load-content" ref={loadContentRef} className="relative h-full">
+              {renderLoadBuckets(footerLoad, scale, LOAD_FOOTER_PX - 4)}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Screen readers: key help for the grid + every applied change */}
+      <p id={`${markerId}-keys`} className="sr-only">
+        Arrow keys move the focused task by one snap step, Shift+Left/Right resizes it. Up/Down, Ctrl+Left/Right,
+        Home and End move between tasks. Space selects, Enter opens, Delete removes.
+      </p>
+      <div role="status" aria-live="polite" className="sr-only">{announcement}</div>
+      <DragTooltip ref={dragTipRef} render={renderTooltip} zone={zone} />
     </div>
   );
-}
+});
+
+export default RobustGantt;
 
 // ----------------- Helpers -----------------
 
@@ -400,223 +1945,504 @@ function defaultPresetFor(v){
   return 'Full Month';
 }
 
-function useGanttScale(view, preset, anchorDate, chartScrollRef){
-  const [tick, setTick] = useState(0);
-  useEffect(() => { const on=()=>setTick(t=>t+1); window.addEventListener('resize', on); return ()=>window.removeEventListener('resize', on); }, []);
-  const csW = chartScrollRef.current?.clientWidth || 1200;
-  return useMemo(() => {
-    let totalUnits = 24, visibleUnits = 24;
-    if (view === 'hour'){
-      const m = String(preset).match(/([0-9]+)/); visibleUnits = m? clamp(parseInt(m[1],10),1,24) : 24; totalUnits = 24;
-    } else if (view === 'week'){
-      totalUnits = /Work/i.test(preset) ? 5 : 7; visibleUnits = totalUnits;
-    } else {
-      totalUnits = daysInMonth(anchorDate); visibleUnits = /14/.test(preset)?14 : /7/.test(preset)?7 : totalUnits;
-    }
-    const pxPerUnit = csW / Math.max(1, visibleUnits);
-    const contentPx = pxPerUnit * totalUnits;
-    return { totalUnits, visibleUnits, pxPerUnit, contentPx };
-  }, [view, preset, anchorDate, csW, tick]);
+// ---- Time axis: absolute range + zoom ----
+const DEFAULT_VIEWPORT_PX = 1200;           // until the scroller has been measured
+const MIN_PX_PER_MS = 4 / DAY_MS;           // a year is ~1500 px
+const MAX_PX_PER_MS = 20 / MINUTE_MS;       // a minute is 20 px
+const RANGE_PAD_VIEWPORTS = 2;              // range = visible window ± this many viewport widths
+const WHEEL_ZOOM_SPEED = 0.002;             // zoom factor per wheel deltaY unit (exponential)
+const RANGE_SETTLE_MS = 150;                // onRangeChange waits for scrolling/zooming to pause this long
+
+// Zoom shortcuts per view: align(d, zone, cal) finds the window start, end(from, zone, cal) its end,
+// step(d, n, zone) navigates.
+const VIEW_PRESETS = {
+  hour: [4, 6, 12, 18, 24].map(h => (
+    // '24 Hours' is one calendar day, so DST days show 23/25 hours
+    { label: `${h} Hours`, align: startOfDay, end: (d, z) => h === 24 ? addDays(d, 1, z) : addHours(d, h), step: addDays }
+  )),
+  week: [
+    { label: 'Work Week', align: (d, z, cal) => addDays(startOfISOWeek(d, z), workWeekOf(cal).first, z),
+      end: (d, z, cal) => addDays(d, workWeekOf(cal).days, z), step: (d, n, z) => addDays(d, 7*n, z) },
+    { label: 'Full Week', align: startOfISOWeek, end: (d, z) => addDays(d, 7, z),  step: (d, n, z) => addDays(d, 7*n, z) },
+    { label: '6 Weeks',   align: startOfISOWeek, end: (d, z) => addDays(d, 42, z), step: (d, n, z) => addDays(d, 7*n, z) },
+  ],
+  month: [
+    { label: '7 Days',     align: startOfMonth,   end: (d, z) => addDays(d, 7, z),   step: addMonths },
+    { label: '14 Days',    align: startOfMonth,   end: (d, z) => addDays(d, 14, z),  step: addMonths },
+    { label: 'Full Month', align: startOfMonth,   end: (d, z) => addMonths(d, 1, z), step: addMonths },
+    { label: 'Quarter',    align: startOfQuarter, end: (d, z) => addMonths(d, 3, z), step: (d, n, z) => addMonths(d, 3*n, z) },
+  ],
+};
+
+function findPreset(view, label){
+  return (VIEW_PRESETS[view] || []).find(p => p.label === label) || null;
 }
 
-function renderHourTimeline(root, pxPerHour, total, contentWidth, show5min){
-  const W = Math.round(contentWidth);
-  // Major hour lines
-  for (let h=0; h<=total; h++){
-    const x = Math.round(h*pxPerHour);
-    const line = document.createElement('div');
-    line.style.cssText = `position:absolute;left:${x}px;top:0;bottom:0;width:1px;background:#4b5563;`;
-    root.appendChild(line);
+// Axis for a view/preset around date `at`: the preset window fills the viewport.
+function axisForPreset(view, label, at, viewportPx, zone, cal){
+  const p = findPreset(view, label) || findPreset(view, defaultPresetFor(view)) || VIEW_PRESETS.hour[4];
+  const from = p.align(at, zone, cal);
+  const pxPerMs = clamp(viewportPx / Math.max(1, p.end(from, zone, cal) - from), MIN_PX_PER_MS, MAX_PX_PER_MS);
+  return { axis: { pxPerMs, ...rangeAround(+from, 0, pxPerMs, viewportPx) }, from };
+}
+
+// Range that shows time t at viewport x, padded on both sides
+function rangeAround(t, x, pxPerMs, viewportPx){
+  const visStart = t - x / pxPerMs;
+  const pad = RANGE_PAD_VIEWPORTS * viewportPx / pxPerMs;
+  return { start: Math.floor(visStart - pad), end: Math.ceil(visStart + viewportPx / pxPerMs + pad) };
+}
+
+function makeScale({ start, end, pxPerMs }){
+  return {
+    start, end, pxPerMs,
+    contentPx: (end - start) * pxPerMs,
+    toX: (t) => (t - start) * pxPerMs,
+    toTime: (x) => start + x / pxPerMs,
+  };
+}
+
+// ---- Timeline header: two tiers picked from the zoom level ----
+const TICK_UNITS = [
+  { unit: 'minute', step: 1 }, { unit: 'minute', step: 5 }, { unit: 'minute', step: 15 }, { unit: 'minute', step: 30 },
+  { unit: 'hour', step: 1 }, { unit: 'hour', step: 3 }, { unit: 'hour', step: 6 }, { unit: 'hour', step: 12 },
+  { unit: 'day', step: 1 }, { unit: 'week', step: 1 }, { unit: 'month', step: 1 }, { unit: 'quarter', step: 1 },
+  { unit: 'year', step: 1 },
+];
+const UNIT_MS = { minute: MINUTE_MS, hour: HOUR_MS, day: DAY_MS, week: 7*DAY_MS, month: 30.44*DAY_MS, quarter: 91.31*DAY_MS, year: 365.25*DAY_MS };
+const MAJOR_OF = { minute: 'hour', hour: 'day', day: 'week', week: 'month', month: 'quarter', quarter: 'year', year: null };
+const MIN_TICK_PX = { minute: 40, hour: 40, day: 22, week: 40, month: 32, quarter: 32, year: 40 }; // room for the label
+const NONWORK_RGBA = 'rgba(56,250,191,0.25)';  // header
+const NONWORK_ROW_RGBA = 'rgba(0,0,0,0.18)';    // rows
+const WEEKDAYS = ['Mon','Tue','Wed','Thu','Fri','Sat','Sun'];
+const MONTHS = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
+const ZONE2_ROW_PX = 16; // header row for secondaryTimeZone
+const HEADER_PX = 48;      // timeline header (without the secondary zone row)
+const HEADER_MAJOR_PX = 20; // ... its upper tier
+const MONTHS_LONG = ['January','February','March','April','May','June','July','August','September','October','November','December'];
+
+function pickTimelineTiers(pxPerMs){
+  const minor = TICK_UNITS.find(u => UNIT_MS[u.unit] * u.step * pxPerMs >= MIN_TICK_PX[u.unit]) || TICK_UNITS[TICK_UNITS.length-1];
+  const majorUnit = MAJOR_OF[minor.unit];
+  return { minor, major: majorUnit ? { unit: majorUnit, step: 1 } : null };
+}
+
+// Minutes and hours step in real time (a DST day gets 23/25 hour ticks); multi-hour steps stay on the wall-clock grid
+function floorToUnit(t, unit, step, z = LOCAL_ZONE){
+  const p = z.get(t);
+  const intoMinute = p.seconds*1000 + p.ms;
+  switch (unit){
+    case 'minute': return new Date(t - (p.minutes % step)*MINUTE_MS - intoMinute);
+    case 'hour':   return new Date(t - (p.hours % step)*HOUR_MS - p.minutes*MINUTE_MS - intoMinute);
+    case 'day':    return startOfDay(t, z);
+    case 'week':   return startOfISOWeek(t, z);
+    case 'month':  return startOfMonth(t, z);
+    case 'quarter':return startOfQuarter(t, z);
+    default:       return z.make(p.year, 0, 1);
   }
-  // Half-hour ticks
-  for (let h=0; h<total; h++){
-    const x = Math.round(h*pxPerHour + pxPerHour/2);
-    if (x < W){
-      const m = document.createElement('div');
-      m.style.cssText = `position:absolute;left:${x}px;top:0;height:60%;width:1px;background:#374151;`;
-      root.appendChild(m);
-    }
-  }
-  // 5-minute minor grid (only for 4/6 hours presets)
-  if (show5min){
-    const pxPerMin = pxPerHour / 60;
-    const totalMinutes = total * 60; // 24h → 1440
-    for (let min=0; min<=totalMinutes; min+=5){
-      const x = Math.round(min * pxPerMin);
-      const isHour = min % 60 === 0;
-      const isHalf = min % 30 === 0;
-      if (!isHour && !isHalf && x < W){
-        const tick = document.createElement('div');
-        tick.style.cssText = `position:absolute;left:${x}px;top:0;height:35%;width:1px;background:#2b2f36;opacity:0.7;`;
-        root.appendChild(tick);
-      }
+}
+
+function addUnit(d, unit, step, z = LOCAL_ZONE){
+  switch (unit){
+    case 'minute': return new Date(+d + step*MINUTE_MS);
+    case 'hour': {
+      if (step === 1) return new Date(+d + HOUR_MS);
+      const p = z.get(d);
+      return z.make(p.year, p.month, p.date, p.hours + step);
     }
+    case 'day':    return addDays(d, step, z);
+    case 'week':   return addDays(d, 7*step, z);
+    case 'month':  return addMonths(d, step, z);
+    case 'quarter':return addMonths(d, 3*step, z);
+    default:       return addMonths(d, 12*step, z);
   }
-  // Hour labels 00..24
-  for (let h=0; h<=total; h++){
-    const x = Math.round(h*pxPerHour);
-    const lab = document.createElement('div');
-    lab.textContent = String(h).padStart(2,'0');
-    lab.style.cssText = `position:absolute;top:4px;left:${x}px;font-size:12px;color:#cbd5e1;white-space:nowrap;`;
-    lab.style.transform = (h===0)? 'translateX(0)' : (h===total? 'translateX(-100%)' : 'translateX(-50%)');
-    root.appendChild(lab);
+}
+
+function tickLabel(d, unit, major, widthPx, z = LOCAL_ZONE){
+  const p = z.get(d);
+  const wd = WEEKDAYS[(p.day+6)%7];
+  switch (unit){
+    case 'minute': return `${pad2(p.hours)}:${pad2(p.minutes)}`;
+    case 'hour':   return major ? `${wd} ${pad2(p.date)}.${pad2(p.month+1)}. ${pad2(p.hours)}:00` : `${pad2(p.hours)}:00`;
+    case 'day':    return major ? `${wd} ${pad2(p.date)}.${pad2(p.month+1)}.${p.year}` : widthPx >= 56 ? `${wd} ${p.date}` : String(p.date);
+    case 'week':   return major ? toISOWeekString(d, z).replace('-', ' ') : toISOWeekString(d, z).slice(5);
+    case 'month':  return major ? `${MONTHS_LONG[p.month]} ${p.year}` : MONTHS[p.month];
+    case 'quarter':return `Q${Math.floor(p.month/3)+1}${major ? ' ' + p.year : ''}`;
+    default:       return String(p.year);
   }
 }
 
-function renderMonthTimeline(root, pxPerDay, totalDays, contentWidth, anchorDate){
-  // weekend bands (Sat/Sun)
-  for (let d=1; d<=totalDays; d++){
-    const dt = new Date(anchorDate.getFullYear(), anchorDate.getMonth(), d);
-    const wd = dt.getDay(); // 0=Sun .. 6=Sat
-    if (wd === 0 || wd === 6){
-      const left = Math.round((d-1) * pxPerDay);
-      const band = document.createElement('div');
-      band.style.cssText = `position:absolute;left:${left}px;top:0;bottom:0;width:${Math.round(pxPerDay)}px;background:rgba(56,250,191,0.25);pointer-events:none;`;
-      root.appendChild(band);
+// Header content for [x0, x1] (content px), shared by the live header and exports:
+// bands = non-working [left, width], minor/major = ticks with their labels (label2: secondary zone clock)
+function timelineTicks(scale, x0, x1, cal, zone = LOCAL_ZONE, zone2 = null){
+  const { minor, major } = pickTimelineTiers(scale.pxPerMs);
+  const t0 = scale.toTime(x0), t1 = scale.toTime(x1);
+  const out = { bands: [], minor: [], major: [] };
+
+  // non-working bands while single days are distinguishable (hours too once the tier is sub-day)
+  if (UNIT_MS[minor.unit] <= DAY_MS){
+    for (const [s, e] of nonWorkingBands(t0, t1, cal, UNIT_MS[minor.unit] < DAY_MS, zone)){
+      const left = Math.round(scale.toX(s));
+      out.bands.push([left, Math.round(scale.toX(e)) - left]);
     }
   }
-  // day lines
-  for (let d=0; d<=totalDays; d++){
-    const x = Math.round(d*pxPerDay);
-    const line = document.createElement('div');
-    line.style.cssText = `position:absolute;left:${x}px;top:0;bottom:0;width:1px;background:#4b5563;`;
-    root.appendChild(line);
+  for (let d = floorToUnit(t0, minor.unit, minor.step, zone); +d < t1; ){
+    const next = addUnit(d, minor.unit, minor.step, zone);
+    out.minor.push({
+      x: Math.round(scale.toX(+d)),
+      cx: Math.round((scale.toX(+d) + scale.toX(+next)) / 2),
+      label: tickLabel(d, minor.unit, false, scale.toX(+next) - scale.toX(+d), zone),
+      // secondary zone: its wall clock at the same instants (sub-day tiers only)
+      label2: zone2 && UNIT_MS[minor.unit] < DAY_MS ? tickLabel(d, 'minute', false, 0, zone2) : null,
+    });
+    d = next;
   }
-  // labels 1..N
-  for (let d=1; d<=totalDays; d++){
-    const cx = Math.round((d-0.5)*pxPerDay);
-    const lab = document.createElement('div');
-    lab.textContent = String(d);
-    lab.style.cssText = `position:absolute;top:4px;left:${cx}px;transform:translateX(-50%);font-size:12px;color:#cbd5e1;white-space:nowrap;`;
-    root.appendChild(lab);
+  if (major){
+    for (let d = floorToUnit(t0, major.unit, major.step, zone); +d < t1; ){
+      const next = addUnit(d, major.unit, major.step, zone);
+      out.major.push({ x: Math.round(scale.toX(+d)), nextX: Math.round(scale.toX(+next)), label: tickLabel(d, major.unit, true, 0, zone) });
+      d = next;
+    }
   }
+  return out;
 }
 
-
-function renderWeekTimeline(root, preset){
+// Draws the live header for content px [x0, x1]. Returns the upper-tier labels with their period's px extent so
+// the caller can keep them in view.
+function renderTimeline(root, scale, x0, x1, cal, zone = LOCAL_ZONE, zone2 = null){
   root.innerHTML = '';
-  const isWork = /Work/i.test(preset);
-  const days = isWork ? 5 : 7;
-  const w = root.clientWidth || 800;
-  const cell = w / days;
-
-  // weekend bands for Full Week (Sun=0, Sat=6)
-  if (!isWork){
-    [0,6].forEach(idx => {
-      const left = Math.round(idx*cell);
-      const band = document.createElement('div');
-      band.style.cssText = `position:absolute;left:${left}px;top:0;bottom:0;width:${Math.round(cell)}px;background:rgba(56,250,191,0.25);pointer-events:none;`;
-      root.appendChild(band);
-    });
+  const ticks = timelineTicks(scale, x0, x1, cal, zone, zone2);
+  const MAJOR_H = HEADER_MAJOR_PX;
+
+  for (const [left, width] of ticks.bands){
+    const band = document.createElement('div');
+    band.style.cssText = `position:absolute;left:${left}px;top:${MAJOR_H}px;bottom:0;width:${width}px;background:${NONWORK_RGBA};pointer-events:none;`;
+    root.appendChild(band);
   }
 
-  // grid lines
-  for (let i=0;i<=days;i++){
-    const x = Math.round(i*cell);
+  // minor tier: lines + centred labels
+  const bottom = zone2 ? ZONE2_ROW_PX : 0;
+  for (const { x, cx, label, label2 } of ticks.minor){
     const line = document.createElement('div');
-    line.style.cssText = `position:absolute;left:${x}px;top:0;bottom:0;width:1px;background:#4b5563;`;
+    line.style.cssText = `position:absolute;left:${x}px;top:${MAJOR_H}px;bottom:0;width:1px;background:#4b5563;`;
     root.appendChild(line);
+    const lab = document.createElement('div');
+    lab.textContent = label;
+    lab.style.cssText = `position:absolute;top:${MAJOR_H+6}px;left:${cx}px;transform:translateX(-50%);font-size:12px;color:#cbd5e1;white-space:nowrap;`;
+    root.appendChild(lab);
+    if (label2){
+      const lab2 = document.createElement('div');
+      lab2.textContent = label2;
+      lab2.style.cssText = `position:absolute;bottom:1px;left:${cx}px;transform:translateX(-50%);font-size:11px;color:#94a3b8;white-space:nowrap;`;
+      root.appendChild(lab2);
+    }
   }
-  // labels
-  const names = isWork ? ['Mon','Tue','Wed','Thu','Fri'] : ['Sun','Mon','Tue','Wed','Thu','Fri','Sat'];
-  for (let i=0;i<names.length;i++){
-    const cx = Math.round((i+0.5)*cell);
+  if (bottom){
+    const sep2 = document.createElement('div');
+    sep2.style.cssText = `position:absolute;left:0;right:0;bottom:${bottom}px;height:1px;background:#374151;`;
+    root.appendChild(sep2);
+  }
+
+  // major tier: full-height separators + period labels
+  const labels = [];
+  for (const { x, nextX, label } of ticks.major){
+    const line = document.createElement('div');
+    line.style.cssText = `position:absolute;left:${x}px;top:0;bottom:0;width:1px;background:#6b7280;`;
+    root.appendChild(line);
     const lab = document.createElement('div');
-    lab.textContent = names[i];
-    lab.style.cssText = `position:absolute;top:4px;left:${cx}px;transform:translateX(-50%);font-size:12px;color:#cbd5e1;white-space:nowrap;`;
+    lab.textContent = label;
+    lab.style.cssText = `position:absolute;top:3px;left:${x + 4}px;font-size:12px;font-weight:600;color:#e5e7eb;white-space:nowrap;`;
     root.appendChild(lab);
+    labels.push({ el: lab, x, nextX });
   }
+  const sep = document.createElement('div');
+  sep.style.cssText = `position:absolute;left:0;right:0;top:${MAJOR_H}px;height:1px;background:#374151;`;
+  root.appendChild(sep);
+  return labels;
 }
 
 function daysInMonth(date){ return new Date(date.getFullYear(), date.getMonth()+1, 0).getDate(); }
 function clamp(n,a,b){ return Math.max(a, Math.min(b, n)); }
-function pad2(n){ return String(n).padStart(2,'0'); }
-function formatDateDisplay(d){ const dd=pad2(d.getDate()); const mm=pad2(d.getMonth()+1); const yyyy=d.getFullYear(); return `${dd}/${mm}/${yyyy}`; }
-
-function projectTaskToView(task, view, preset, anchorDate){
-  if (view==='hour'){
-    const startH = task.start.getHours() + task.start.getMinutes()/60;
-    const endH   = task.end.getHours()   + task.end.getMinutes()/60;
-    return { startUnit: startH, endUnit: Math.max(startH+0.05, endH), label: task.title };
-  }
-  if (view==='week'){
-    // Use fractional days to keep intra-day precision for tooltip and width
-    const work = /Work/i.test(preset);
-    const start = task.start; const end = task.end;
-    // ISO week starting Monday
-    const monIdx = (start.getDay()+6)%7; // 0..6 Mon..Sun
-    const dayIdx = work ? monIdx : start.getDay(); // for Full Week use native 0..6 Sun..Sat
-    const dayCount = work ? 5 : 7;
-    if (dayIdx<0 || dayIdx>=dayCount) return null;
-    const startUnit = dayIdx + (start.getHours()+ start.getMinutes()/60)/24;
-    const endUnit   = Math.min(dayCount, dayIdx + Math.max(1/24, ((end - start)/86400000)));
-    return { startUnit, endUnit, label: task.title };
-  }
-  if (view==='month'){
-    const dim = daysInMonth(anchorDate);
-    const sDay = clamp(task.start.getDate(),1,dim) - 1;
-    const eDay = clamp(task.end.getDate(),1,dim) - 1;
-    const sFrac = (task.start.getHours()+task.start.getMinutes()/60)/24;
-    const eFrac = (task.end.getHours()+task.end.getMinutes()/60)/24;
-    const startUnit = sDay + sFrac;
-    const endUnit   = Math.max(startUnit + 1/48, eDay + eFrac); // at least 30 min
-    return { startUnit, endUnit, label: task.title };
-  }
-  return null;
+function formatDateDisplay(d, z = LOCAL_ZONE){ const p = z.get(d); return `${pad2(p.date)}/${pad2(p.month+1)}/${p.year}`; }
+function formatVisibleRange(start, end, z = LOCAL_ZONE){
+  const s = new Date(start), e = new Date(Math.max(start, end - 1)); // end is exclusive
+  return sameDay(+s, +e, z) ? formatDateDisplay(s, z) : `${formatDateDisplay(s, z)} – ${formatDateDisplay(e, z)}`;
 }
+function sameDay(a, b, z = LOCAL_ZONE){ return +startOfDay(a, z) === +startOfDay(b, z); }
 
+// A task as an absolute segment (ms). Lanes and hit-testing work on these; pixels come from segToPixels.
+function projectTaskToView(task){
+  const start = task.start.getTime();
+  return { start, end: Math.max(start, task.end.getTime()), label: task.title };
+}
+
+// Segment → pixels within the current range; null when it lies outside, clipped edges flagged.
 function segToPixels(seg, scale){
-  if (!seg || !scale) return { leftPx: 0, widthPx: 0, label: seg?.label||'' };
-  const { startUnit, endUnit, label } = seg;
-  const leftPx  = Math.round(startUnit * scale.pxPerUnit);
-  const widthPx = Math.max(4, Math.round((endUnit - startUnit) * scale.pxPerUnit));
-  return { leftPx, widthPx, label };
+  if (!seg || !scale) return null;
+  if (seg.end < scale.start || seg.start > scale.end) return null;
+  const s = Math.max(seg.start, scale.start);
+  const e = Math.min(seg.end, scale.end);
+  const leftPx  = Math.round(scale.toX(s));
+  const widthPx = Math.max(4, Math.round((e - s) * scale.pxPerMs));
+  return { leftPx, widthPx, label: seg.label, clippedStart: seg.start < scale.start, clippedEnd: seg.end > scale.end };
+}
+
+// Row outline while a bar is dragged over it: blue = drop allowed, red = vetoed by the host
+function dropTargetShadow(dropTarget, resourceId){
+  if (!dropTarget || dropTarget.resourceId !== resourceId) return undefined;
+  return `inset 0 0 0 2px ${dropTarget.allowed ? 'rgba(96,165,250,0.9)' : 'rgba(239,68,68,0.9)'}`;
+}
+
+// Rows are sorted by top: binary search the row containing y / the rows overlapping [y0, y1)
+function rowIndexAtY(rows, y){
+  let lo = 0, hi = rows.length - 1;
+  while (lo < hi){
+    const mid = (lo + hi + 1) >> 1;
+    if (rows[mid].top <= y) lo = mid; else hi = mid - 1;
+  }
+  return lo;
+}
+function rowAtY(rows, y){
+  if (!rows.length || y < 0) return null;
+  const row = rows[rowIndexAtY(rows, y)];
+  return y < row.top + row.height ? row : null;
+}
+function rowsInWindow(rows, y0, y1){
+  if (!rows.length) return [];
+  const out = [];
+  for (let i = rowIndexAtY(rows, Math.max(0, y0)); i < rows.length && rows[i].top < y1; i++) out.push(rows[i]);
+  return out;
 }
 
 // Lane assignment (interval partitioning)
 function assignLanes(items, maxLanes){
-  // items: [{ task, seg: {startUnit,endUnit,label} }]
-  const sorted = items.slice().sort((a,b) => a.seg.startUnit - b.seg.startUnit || a.seg.endUnit - b.seg.endUnit);
-  const laneEnds = []; // endUnit per lane
+  // items: [{ task, seg: {start,end,label} }]
+  const sorted = items.slice().sort((a,b) => a.seg.start - b.seg.start || a.seg.end - b.seg.end);
+  const laneEnds = []; // end (ms) per lane
   const out = [];
+  const overflow = []; // [{ start, end, count }] runs of bars stacked into the capped last lane
   for (const it of sorted){
-    let lane = laneEnds.findIndex(end => end <= it.seg.startUnit + 1e-9);
+    let lane = laneEnds.findIndex(end => end <= it.seg.start);
     if (lane === -1){
       if (laneEnds.length < maxLanes) {
         lane = laneEnds.length;
-        laneEnds.push(it.seg.endUnit);
+        laneEnds.push(it.seg.end);
       } else {
-        // place in last lane if we've hit the cap
+        // place in last lane if we've hit the cap (drawn on top of its neighbours → counted as hidden)
         lane = maxLanes - 1;
-        laneEnds[lane] = Math.max(laneEnds[lane], it.seg.endUnit);
+        laneEnds[lane] = Math.max(laneEnds[lane], it.seg.end);
+        const last = overflow[overflow.length-1];
+        if (last && last.end > it.seg.start){ last.count++; last.end = Math.max(last.end, it.seg.end); }
+        else overflow.push({ start: it.seg.start, end: it.seg.end, count: 1 });
       }
     } else {
-      laneEnds[lane] = it.seg.endUnit;
+      laneEnds[lane] = it.seg.end;
     }
     out.push({ task: it.task, seg: it.seg, lane });
   }
-  return { items: out, laneCount: Math.max(1, laneEnds.length) };
+  return { items: out, laneCount: Math.max(1, laneEnds.length), overflow, hidden: overflow.reduce((n, o) => n + o.count, 0) };
 }
 
-// --------- API / Data utilities ----------
-const DEFAULT_PALETTE = [
-  '#3B82F6','#10B981','#F59E0B','#EF4444','#8B5CF6','#06B6D4','#84CC16','#F97316','#E11D48','#14B8A6'
-];
+// ---------- Resource tree ----------
+// `resource.parentId` nests a resource under another one (a team lead, a site…); `resource.group` (a name or a
+// path of names) files it under synthetic group rows instead. Children keep their order in `resources`;
+// unknown parents and parentId cycles fall back to the top level.
+// → { roots, byId: Map(id → node), groups: [node with children] }, node = { resource, children, synthetic }
+const GROUP_ID_PREFIX = 'group:';
+const GROUP_INDENT_PX = 16;
+const ROLLUP_RGBA = 'rgba(148,163,184,0.85)'; // collapsed group: union of its tasks
+
+function resourceTree(resources){
+  const byId = new Map(resources.map(r => [r.id, { resource: r, children: [], synthetic: false }]));
+  const parentIdOf = (r) => r.parentId != null && r.parentId !== r.id && byId.has(r.parentId) ? r.parentId : null;
+  const cyclic = (r) => {
+    const seen = new Set([r.id]);
+    for (let p = parentIdOf(r); p != null; p = parentIdOf(byId.get(p).resource)){
+      if (seen.has(p)) return true;
+      seen.add(p);
+    }
+    return false;
+  };
+  const roots = [];
+  const groupNode = (path) => {
+    let parent = null;
+    path.forEach((name, i) => {
+      const id = GROUP_ID_PREFIX + path.slice(0, i + 1).join('/');
+      let node = byId.get(id);
+      if (!node){
+        byId.set(id, node = { resource: { id, name }, children: [], synthetic: true });
+        (parent ? parent.children : roots).push(node);
+      }
+      parent = node;
+    });
+    return parent;
+  };
+  for (const r of resources){
+    const path = r.group == null || r.group === '' ? [] : [].concat(r.group).map(String);
+    const parent = parentIdOf(r) != null && !cyclic(r) ? byId.get(r.parentId) : path.length ? groupNode(path) : null;
+    (parent ? parent.children : roots).push(byId.get(r.id));
+  }
+  return { roots, byId, groups: [...byId.values()].filter(n => n.children.length) };
+}
+
+// Tasks can be dropped or painted on it (not a collapsed or synthetic group row)
+function isTaskRow(row){ return !!row && !row.rollup && !row.synthetic; }
+
+// Rows in tree order: [{ node, depth, open }], children only under expanded groups; compare sorts siblings
+function flattenTree(roots, isExpanded, compare){
+  const out = [];
+  const walk = (nodes, depth) => {
+    for (const node of compare ? [...nodes].sort(compare) : nodes){
+      const open = node.children.length > 0 && isExpanded(node.resource.id);
+      out.push({ node, depth, open });
+      if (open) walk(node.children, depth + 1);
+    }
+  };
+  walk(roots, 0);
+  return out;
+}
 
-function normalizeTask(t, palette){
-  const start = (t.start instanceof Date) ? t.start : new Date(t.start);
-  const end   = (t.end   instanceof Date) ? t.end   : new Date(t.end);
-  const color = t.color || colorFor(resourceHash(t.resourceId), palette);
-  return { ...t, start, end, color };
+// Real resources in a group (the group itself included unless synthetic)
+function treeMembers(node){
+  const out = node.synthetic ? [] : [node.resource];
+  for (const c of node.children) out.push(...treeMembers(c));
+  return out;
 }
 
-function resourceHash(id){ let h=0; for (let i=0;i<id.length;i++){ h=(h*31 + id.charCodeAt(i))|0; } return Math.abs(h); }
-function colorFor(h, palette){ return palette[h % palette.length]; }
+// Nodes from a root down to the resource's node (null when it isn't in the tree)
+function treePath(roots, resourceId){
+  for (const node of roots){
+    if (node.resource.id === resourceId) return [node];
+    const below = treePath(node.children, resourceId);
+    if (below) return [node, ...below];
+  }
+  return null;
+}
+
+// Lane items → concurrency steps [{ start, end, count }] (count > 0); tasks that only touch don't overlap
+function rollupSteps(items){
+  const events = [];
+  for (const { seg } of items) if (seg.end > seg.start) events.push([seg.start, 1], [seg.end, -1]);
+  events.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const out = [];
+  let n = 0, at = 0;
+  for (const [t, d] of events){
+    if (n > 0 && t > at){
+      const last = out[out.length-1];
+      if (last && last.end === at && last.count === n) last.end = t;
+      else out.push({ start: at, end: t, count: n });
+    }
+    n += d; at = t;
+  }
+  return out;
+}
+
+// Collapsed group row: 'bars' = the union of its tasks as thin summary bars, 'density' = a band whose
+// opacity follows concurrent tasks per unit of capacity (red above capacity)
+function rollupShapes(rollup, mode, scale, heightPx){
+  const spans = mode === 'density' ? rollup.steps : rollup.steps.reduce((out, s) => {
+    const last = out[out.length-1];
+    if (last && last.end >= s.start) last.end = s.end; else out.push({ start: s.start, end: s.end, count: 0 });
+    return out;
+  }, []);
+  return spans.map(s => {
+    const px = segToPixels(s, scale);
+    if (!px) return null;
+    if (mode !== 'density') return { key: s.start, left: px.leftPx, width: px.widthPx, top: heightPx / 2 - 5, height: 10, fill: ROLLUP_RGBA, opacity: 1 };
+    const ratio = s.count / rollup.capacity;
+    return { key: s.start, left: px.leftPx, width: px.widthPx, top: 6, height: heightPx - 12, title: `${s.count} of ${rollup.capacity}`,
+             fill: ratio > 1 ? LOAD_COLORS.over : LOAD_COLORS.under, opacity: 0.2 + 0.6 * Math.min(1, ratio) };
+  }).filter(Boolean);
+}
+
+function renderGroupRollup(rollup, mode, scale, heightPx){
+  return rollupShapes(rollup, mode, scale, heightPx).map(({ key, left, width, top, height, title, fill, opacity }) => (
+    <div key={key} className={`absolute ${mode === 'density' ? '' : 'rounded-sm'}`} aria-hidden="true" title={title}
+         style={{ left, width, top, height, background: fill, opacity, pointerEvents: 'none' }} />
+  ));
+}
+
+// Hatching over bars in a resource conflict
+const CONFLICT_HATCH = 'repeating-linear-gradient(135deg, rgba(0,0,0,0.35) 0 4px, transparent 4px 8px)';
+
+// ---------- Resource grid columns ----------
+// A column: { id, header, accessor: 'field' | (resource, stats) => value, render?(value, resource, stats),
+// format?(value) → text, width, minWidth, align: 'left' | 'center' | 'right', sortable }. Strings pick a built-in column; stats are
+// the row's figures over the visible range ({ tasks, alloc, cap, load }).
+const MIN_COLUMN_PX = 40;
+const MIN_GRID_PX = 80;
+const DEFAULT_COLUMN_PX = 120;
+const ALIGN_FLEX = { left: 'flex-start', center: 'center', right: 'flex-end' };
+const BUILTIN_COLUMNS = {
+  name: { header: 'Resource', accessor: 'name', width: 200 },
+  tasks: { header: 'Tasks', accessor: (r, s) => s?.tasks, width: 64, align: 'right', stats: true },
+  load: { header: 'Load', accessor: (r, s) => s?.load, width: 72, align: 'right', stats: true, format: formatLoad,
+          render: (v) => <span style={{ color: LOAD_COLORS[loadKind(v)] }}>{formatLoad(v)}</span> },
+};
+
+function normalizeColumns(columns){
+  if (!Array.isArray(columns) || !columns.length) columns = ['name'];
+  const seen = new Set(), out = [];
+  for (const c of columns){
+    const def = typeof c === 'string' ? (BUILTIN_COLUMNS[c] && { id: c, ...BUILTIN_COLUMNS[c] }) : c;
+    const id = def && String(def.id ?? (typeof def.accessor === 'string' ? def.accessor : ''));
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+    const minWidth = def.minWidth ?? MIN_COLUMN_PX;
+    out.push({ ...def, id, header: def.header ?? id, accessor: def.accessor ?? id, minWidth,
+               width: Math.max(minWidth, def.width ?? DEFAULT_COLUMN_PX), align: def.align || 'left', sortable: def.sortable !== false });
+  }
+  return out;
+}
+
+function columnValue(col, resource, stats){
+  return typeof col.accessor === 'function' ? col.accessor(resource, stats) : resource[col.accessor];
+}
+
+function columnLabel(col){ return typeof col.header === 'string' ? col.header : col.id; }
+
+function isBlankCell(v){ return v == null || v === '' || Number.isNaN(v); }
+
+// Numbers and dates by value, everything else as text (numeric-aware: "Site 10" after "Site 9")
+function compareCells(a, b){
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (a instanceof Date && b instanceof Date) return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Dates read as in the day header, in the chart zone
+function cellText(col, v, zone){
+  if (isBlankCell(v)) return '';
+  if (col.format) return col.format(v);
+  if (Array.isArray(v)) return v.join(', ');
+  if (v instanceof Date) return tickLabel(v, 'day', true, 0, zone);
+  return String(v);
+}
+
+function loadRatio(alloc, cap){ return cap ? alloc / cap : alloc ? Infinity : 0; }
+function formatLoad(v){ return Number.isFinite(v) ? `${Math.round(v * 100)}%` : 'no capacity'; }
+
+// ---------- Filtering ----------
+// The filter object and query syntax are described in filter.js
+const DEFAULT_FILTER = { query: '', task: null, resource: null, predicate: null, mode: 'dim', onlyMatchingRows: false };
+const FILTER_DIM_OPACITY = 0.25;
+
+// Copy of the tree keeping nodes that pass keep() or contain one that does (synthetic groups only for the latter)
+function pruneTree(nodes, keep){
+  const out = [];
+  for (const node of nodes){
+    const children = pruneTree(node.children, keep);
+    if (children.length || (!node.synthetic && keep(node))) out.push({ ...node, children });
+  }
+  return out;
+}
 
 function generateResources(n){
   const first = ["Alice","Yusuf","Ivan","Leo","Zara","George","Ethan","Iris","Ulrich","Edward","Walter","Petra","Cedric","Delia","Rachel","Maya","Charlie","Xena","Noah","Vera","Diana","Hugo","Julia","Samuel","Kevin","Luna","Bella","Quentin","Marcus","Jake","Nina"]; 
   const last  = ["Robinson","Harris","Nguyen","Johnson","Gonzalez","Flores","Lewis","Young","Hill","Anderson","Wright","Moore","Taylor","Davis","Torres","Perez","Allen","Walker","King","Brown","Sanchez","Williams","Martinez","Ramirez","White","Scott","Clark","Thomas","Nguyen"]; 
-  const out=[]; for(let i=0;i<n;i++){ out.push({ id:`r${i}`, name:`${first[i%first.length]} ${last[(i*7)%last.length]}` }); } return out;
+  const skills = ["Electrical","Plumbing","HVAC","Carpentry"], sites = ["North depot","City centre","Airport"];
+  const out=[]; for(let i=0;i<n;i++){ out.push({ id:`r${i}`, name:`${first[i%first.length]} ${last[(i*7)%last.length]}`,
+    skill: skills[i%skills.length], location: sites[(i*5)%sites.length], contractHours: [40,32,24][i%3] }); } return out;
 }
 
 function generateSampleTasks(resources, anchorDate, palette){
@@ -637,224 +2463,749 @@ function generateSampleTasks(resources, anchorDate, palette){
   return tasks;
 }
 
+// --------- Pointer plumbing shared by the drag hooks ---------
+// Window-level pointermove + pointerup/pointercancel (the chart captures the pointer, so these keep
+// arriving when it leaves the chart); returns the effect cleanup.
+function listenPointer(onMove, onUp){
+  window.addEventListener('pointermove', onMove);
+  window.addEventListener('pointerup', onUp);
+  window.addEventListener('pointercancel', onUp);
+  return () => {
+    window.removeEventListener('pointermove', onMove);
+    window.removeEventListener('pointerup', onUp);
+    window.removeEventListener('pointercancel', onUp);
+  };
+}
+
+// A gesture started with a pointerId only listens to that pointer
+function isOwnPointer(state, e){
+  return state.pointerId == null || e.pointerId === state.pointerId;
+}
+
+const EDGE_PX = 8;            // resize grip at each bar end (mouse, pen)
+const TOUCH_EDGE_PX = 20;     // ... for a finger
+const LONG_PRESS_MS = 400;    // touch: hold this long to grab a bar / paint (a shorter touch is a tap)
+const LONG_PRESS_SLOP_PX = 10; // touch: moving further before that scrolls instead
+
+// Resize grip width for a pointer type; narrow bars keep their middle third for moving
+function edgePx(pointerType, barWidth){
+  return Math.min(pointerType === 'touch' ? TOUCH_EDGE_PX : EDGE_PX, barWidth / 3);
+}
+
 // --------- Drag & Resize with tooltip + snapping ---------
-function useBarDrag({ view, anchorDate, scale, onTasksChange, setInternalTasks, snapUnits }){
+// Works in absolute ms: the dragged edge is snapped to the wall-clock grid of the chart zone, the other edge keeps
+// the task's exact value. Single-bar moves also follow the pointer vertically across rows; other selected
+// bars ("followers") take the same horizontal delta.
+// With calendarFor(resourceId) set, snapped edges leave non-working time and moves keep the working duration.
+// The tooltip is a DragTooltip handle (tooltipRef.current.show(info) / .hide()).
+function useBarDrag({ scale, zone, onCommit, onCreate, snapMs, locateRow, onDragOverRow, calendarFor, tooltipRef }){
   const dragRef = useRef(null);
-  const tipRef = useRef(null);
-
-  const ensureTip = () => {
-    if (tipRef.current) return tipRef.current;
-    const el = document.createElement('div');
-    el.style.position = 'fixed';
-    el.style.left = '0px';
-    el.style.top = '0px';
-    el.style.zIndex = '9999';
-    el.style.background = 'var(--gantt-tooltip-bg)';
-    el.style.color = '#fff';
-    el.style.padding = '6px 8px';
-    el.style.borderRadius = '6px';
-    el.style.fontSize = '12px';
-    el.style.pointerEvents = 'none';
-    el.style.boxShadow = '0 2px 6px rgba(0,0,0,0.4)';
-    document.body.appendChild(el);
-    tipRef.current = el;
-    return el;
-  };
-
-  const hideTip = () => {
-    const el = tipRef.current; if (el && el.parentNode) el.parentNode.removeChild(el); tipRef.current = null;
-  };
-
-  const updateTip = (startUnit, endUnit, clientX, clientY) => {
-    const el = ensureTip();
-    const { start, end } = unitsToDateRange(view, anchorDate, startUnit, endUnit);
-    el.textContent = `${fmtDateTime(start)} → ${fmtDateTime(end)}`;
-    const x = clientX + 12, y = clientY + 12;
-    el.style.left = x + 'px';
-    el.style.top  = y + 'px';
-  };
-
-  const snapPx = (px) => {
-    if (!scale || !snapUnits) return Math.round(px);
-    const units = px / scale.pxPerUnit;               // convert px → view units
-    const snappedUnits = Math.round(units / snapUnits) * snapUnits;
-    return Math.round(snappedUnits * scale.pxPerUnit); // back to px
+  const commitRef = useRef(onCommit);
+  commitRef.current = onCommit;
+  const createRef = useRef(onCreate);
+  createRef.current = onCreate;
+  const locateRowRef = useRef(locateRow);
+  locateRowRef.current = locateRow;
+  const overRowRef = useRef(onDragOverRow);
+  overRowRef.current = onDragOverRow;
+  const calendarForRef = useRef(calendarFor);
+  calendarForRef.current = calendarFor;
+
+  const hideTip = () => tooltipRef?.current?.hide();
+
+  const updateTip = (start, end, clientX, clientY) => {
+    const ds = dragRef.current;
+    tooltipRef?.current?.show({ kind: 'drag', mode: ds.mode, task: ds.task || null, resourceId: ds.resourceId,
+                                start: new Date(start), end: new Date(end), clientX, clientY });
+  };
+
+  // Place the dragged element for [start, end] (clipped to the range like segToPixels)
+  const placeEl = (el, start, end) => {
+    const px = segToPixels({ start, end }, scale);
+    if (!px) return;
+    el.style.left = px.leftPx + 'px';
+    el.style.width = px.widthPx + 'px';
+  };
+
+  // New [start, end] of one bar for a pointer delta: the dragged edge(s) snap to the grid and, with a
+  // calendar, out of non-working time (moves then keep the working duration)
+  const dragTimes = (mode, origStart, origEnd, dMs, cal) => {
+    const minMs = Math.min(snapMs || MIN_TASK_MS, origEnd - origStart) || MIN_TASK_MS;
+    let start = origStart, end = origEnd;
+    if (mode === 'move'){
+      start = snapTime(origStart + dMs, snapMs, zone);
+      end = start + (origEnd - origStart);
+    } else if (mode === 'resize-l'){
+      start = Math.min(snapTime(origStart + dMs, snapMs, zone), origEnd - minMs);
+    } else if (mode === 'resize-r'){
+      end = Math.max(snapTime(origEnd + dMs, snapMs, zone), origStart + minMs);
+    }
+    if (cal){
+      const work = workingTimeBetween(origStart, origEnd, cal);
+      if (mode === 'move' && work){
+        start = nextWorkingTime(start, cal);
+        end = addWorkingTime(start, work, cal);
+      } else if (mode === 'resize-l'){
+        const s = nextWorkingTime(start, cal);
+        if (s <= end - minMs) start = s;
+      } else if (mode === 'resize-r'){
+        const e2 = prevWorkingTime(end, cal);
+        if (e2 >= start + minMs) end = e2;
+      }
+    }
+    return [start, end];
   };
 
   useEffect(() => {
     const onMove = (e) => {
-      if (!dragRef.current || !scale) return;
+      if (!dragRef.current || !scale || !isOwnPointer(dragRef.current, e)) return;
       const ds = dragRef.current;
-      const dx = e.clientX - ds.startX;
-
-      if (ds.mode === 'move'){
-        const targetLeft = ds.origLeft + dx;
-        const newLeft = snapPx(targetLeft);
-        ds.el.style.left = newLeft + 'px';
-      } else if (ds.mode === 'resize-l'){
-        const targetLeft = ds.origLeft + dx;
-        const newLeft = snapPx(targetLeft);
-        const newWidth = Math.max(4, Math.round(ds.origWidth - (newLeft - ds.origLeft)));
-        ds.el.style.left = newLeft + 'px';
-        ds.el.style.width = newWidth + 'px';
-      } else if (ds.mode === 'resize-r'){
-        const endTarget = ds.origLeft + ds.origWidth + dx;
-        const snappedEnd = snapPx(endTarget);
-        const newWidth = Math.max(4, Math.round(snappedEnd - ds.origLeft));
-        ds.el.style.width = newWidth + 'px';
+      const dMs = (e.clientX - ds.startX) / scale.pxPerMs;
+
+      let start, end;
+      if (ds.mode === 'create'){
+        // painting: the snapped pointer time and the snapped press point span the new task
+        const t = snapTime(ds.anchor + dMs, snapMs, zone);
+        start = Math.min(ds.anchor, t); end = Math.max(ds.anchor, t);
+        ds.moved = ds.moved || Math.abs(e.clientX - ds.startX) >= 3;
+        ds.start = start; ds.end = end;
+        ds.el.style.display = end > start ? '' : 'none';
+        placeEl(ds.el, start, end);
+        updateTip(start, end, e.clientX, e.clientY);
+        return;
+      }
+      // The grabbed bar and every other selected bar get the same pointer delta, each snapped on its own
+      for (const b of [ds, ...ds.followers]){
+        [b.start, b.end] = dragTimes(ds.mode, b.origStart, b.origEnd, dMs, calendarForRef.current?.(b === ds ? ds.resourceId : b.task.resourceId));
+        if (b.el) placeEl(b.el, b.start, b.end);
+      }
+      updateTip(ds.start, ds.end, e.clientX, e.clientY);
+
+      // Vertical: the bar follows the pointer (content coords, so scrolling mid-drag is fine); group moves stay in their rows
+      const loc = ds.mode === 'move' && !ds.followers.length ? locateRowRef.current?.(e.clientY) : null;
+      if (loc){
+        ds.el.style.transform = `translateY(${Math.round(loc.y - ds.startContentY)}px)`;
+        ds.el.style.zIndex = '20';
+        ds.resourceId = loc.row ? loc.row.resource.id : ds.task.resourceId;
+        overRowRef.current?.(ds.task, ds.resourceId);
       }
-
-      // Tooltip update with snapped units
-      const leftPx = parseFloat(ds.el.style.left||'0') || 0;
-      const widthPx = parseFloat(ds.el.style.width||'0') || ds.el.getBoundingClientRect().width;
-      const startUnit = leftPx / scale.pxPerUnit;
-      const endUnit   = startUnit + (widthPx / scale.pxPerUnit);
-      updateTip(startUnit, endUnit, e.clientX, e.clientY);
     };
 
-    const onUp = () => {
+    // pointercancel (the browser took the gesture over) ends the drag without committing
+    const onUp = (e) => {
+      if (dragRef.current && !isOwnPointer(dragRef.current, e)) return;
       if (!dragRef.current || !scale) { hideTip(); dragRef.current=null; return; }
       const ds = dragRef.current;
-      const el = ds.el;
-      const leftPx = parseFloat(el.style.left||'0') || 0;
-      const widthPx= parseFloat(el.style.width||'0') || el.getBoundingClientRect().width;
-      const startUnit = leftPx / scale.pxPerUnit;
-      const durationU = Math.max(0.1, widthPx / scale.pxPerUnit);
-      const change = { startUnit, durationU, mode: ds.mode, snapUnits };
-      if (typeof onTasksChange === 'function') onTasksChange(ds.task, change);
-      setInternalTasks(prev => prev.map(t => t.id===ds.task.id ? t : t));
+      const commit = e.type !== 'pointercancel';
+      if (ds.mode === 'create'){
+        ds.el.style.display = 'none';
+        dragRef.current = null;
+        document.body.style.cursor = 'default';
+        hideTip();
+        if (commit && ds.moved && ds.end > ds.start) createRef.current?.(ds.resourceId, new Date(ds.start), new Date(ds.end));
+        return;
+      }
+      // Put the bar back where React rendered it; the committed state re-renders it at its new place
+      // (and a controlled host that ignores the change leaves it where it was).
+      for (const b of [ds, ...ds.followers]){
+        if (!b.el) continue;
+        b.el.style.left = b.origLeft;
+        b.el.style.width = b.origWidth;
+      }
+      ds.el.style.transform = '';
+      ds.el.style.zIndex = '';
       dragRef.current = null;
       document.body.style.cursor = 'default';
       hideTip();
+      overRowRef.current?.(ds.task, null);
+      if (!commit) return;
+      const others = ds.followers.filter(b => b.start !== b.origStart || b.end !== b.origEnd)
+                                 .map(b => ({ taskId: b.task.id, start: new Date(b.start), end: new Date(b.end) }));
+      if (ds.start !== ds.origStart || ds.end !== ds.origEnd || ds.resourceId !== ds.task.resourceId || others.length){
+        commitRef.current?.(ds.task.id, new Date(ds.start), new Date(ds.end), ds.mode, ds.resourceId, others);
+      }
     };
 
-    window.addEventListener('mousemove', onMove);
-    window.addEventListener('mouseup', onUp);
-    return () => { window.removeEventListener('mousemove', onMove); window.removeEventListener('mouseup', onUp); };
-  }, [view, anchorDate, scale, onTasksChange, setInternalTasks, snapUnits]);
+    return listenPointer(onMove, onUp);
+  }, [scale, snapMs, zone]);
 
-  const onBarMouseDown = (e, { taskId }) => {
-    const el = e.currentTarget;
-    const rect = el.getBoundingClientRect();
-    const xIn = e.clientX - rect.left;
-    const edge = 8;
-    let mode = 'move';
-    if (xIn < edge) mode = 'resize-l'; else if (xIn > rect.width - edge) mode = 'resize-r';
+  // Start a drag from a known element + mode (used by global hit‑testing).
+  // followers: [{ task, el }] other selected bars that move/resize along (el null when not mounted).
+  // pointerId: only this pointer drives the drag (other fingers are ignored).
+  const beginFromElement = (el, task, mode, clientX, clientY, followers = [], pointerId = null) => {
+    const origStart = task.start.getTime(), origEnd = task.end.getTime();
     dragRef.current = {
+      pointerId,
+      followers: followers.map(f => ({ ...f, origLeft: f.el?.style.left, origWidth: f.el?.style.width,
+        origStart: f.task.start.getTime(), origEnd: f.task.end.getTime(),
+        start: f.task.start.getTime(), end: f.task.end.getTime() })),
       mode,
       el,
-      startX: e.clientX,
-      origLeft: parseInt(el.style.left||'0',10) || 0,
-      origWidth: parseInt(el.style.width||'0',10) || rect.width,
-      task: { id: taskId }
+      task,
+      startX: clientX,
+      origLeft: el.style.left,
+      origWidth: el.style.width,
+      origStart, origEnd,
+      start: origStart, end: origEnd,
+      startContentY: locateRowRef.current?.(clientY)?.y ?? 0,
+      resourceId: task.resourceId,
     };
     document.body.style.cursor = (mode==='move'? 'grabbing' : 'ew-resize');
-    // Show initial tooltip
-    const leftPx = parseInt(el.style.left||'0',10) || 0;
-    const widthPx= parseInt(el.style.width||'0',10) || rect.width;
-    const startUnit = leftPx / scale.pxPerUnit;
-    const endUnit   = startUnit + (widthPx / scale.pxPerUnit);
-    const evt = e.nativeEvent || e;
-    updateTip(startUnit, endUnit, evt.clientX, evt.clientY);
-    e.preventDefault();
+    updateTip(origStart, origEnd, clientX, clientY);
   };
 
-  // New: start drag directly from a known element + mode (used by global hit‑testing)
-  const beginFromElement = (el, taskId, mode, clientX, clientY) => {
-    const rect = el.getBoundingClientRect();
-    dragRef.current = {
-      mode,
-      el,
-      startX: clientX,
-      origLeft: parseInt(el.style.left||'0',10) || 0,
-      origWidth: parseInt(el.style.width||'0',10) || rect.width,
-      task: { id: taskId }
+  // Start painting a new task on a row from time t (the caller has placed `el` vertically)
+  const beginCreate = (el, resourceId, t, clientX, clientY, pointerId = null) => {
+    const anchor = snapTime(t, snapMs, zone);
+    dragRef.current = { pointerId, mode: 'create', el, resourceId, startX: clientX, anchor, start: anchor, end: anchor, moved: false };
+    document.body.style.cursor = 'crosshair';
+  };
+
+  return { beginFromElement, beginCreate };
+}
+
+// Drag tooltip next to the pointer. info: { kind: 'drag', mode, task (null while painting), resourceId, start, end,
+// clientX, clientY }; render(info + { text }) replaces the default "start → end" text (null: no tooltip).
+const DragTooltip = forwardRef(function DragTooltip({ render, zone }, ref){
+  const [info, setInfo] = useState(null);
+  useImperativeHandle(ref, () => ({ show: setInfo, hide: () => setInfo(null) }), []);
+  if (!info) return null;
+  const text = `${fmtDateTime(info.start, zone)} → ${fmtDateTime(info.end, zone)}`;
+  const content = typeof render === 'function' ? render({ ...info, text }) : text;
+  if (content == null) return null;
+  return (
+    <div className="gantt-drag-tip" aria-hidden="true"
+         style={{ position: 'fixed', left: info.clientX + 12, top: info.clientY + 12, zIndex: 9999, pointerEvents: 'none',
+                  background: 'var(--gantt-tooltip-bg)', color: '#fff', padding: '6px 8px', borderRadius: 6, fontSize: 12,
+                  boxShadow: '0 2px 6px rgba(0,0,0,0.4)' }}>
+      {content}
+    </div>
+  );
+});
+
+// --------- Drag-to-link ---------
+// Drag from a bar's start/end handle onto another bar; the half of the bar it is dropped on picks
+// the target side (left half = start, right half = finish).
+function useLinkDrag({ lineRef, toContent, pickBarAt, onLink }){
+  const linkRef = useRef(null);
+  const cbRef = useRef({ toContent, pickBarAt, onLink });
+  cbRef.current = { toContent, pickBarAt, onLink };
+
+  useEffect(() => {
+    const onMove = (e) => {
+      const line = lineRef.current;
+      if (!linkRef.current || !line || !isOwnPointer(linkRef.current, e)) return;
+      const p = cbRef.current.toContent(e.clientX, e.clientY);
+      line.setAttribute('x2', p.x);
+      line.setAttribute('y2', p.y);
     };
-    document.body.style.cursor = (mode==='move'? 'grabbing' : 'ew-resize');
-    const leftPx = parseInt(el.style.left||'0',10) || 0;
-    const widthPx= parseInt(el.style.width||'0',10) || rect.width;
-    const startUnit = leftPx / scale.pxPerUnit;
-    const endUnit   = startUnit + (widthPx / scale.pxPerUnit);
-    updateTip(startUnit, endUnit, clientX, clientY);
-  };
-
-  return { onBarMouseDown, beginFromElement };
-}
-
-// ---------- Unit→Date helpers ----------
-function startOfDay(d){ const x=new Date(d); x.setHours(0,0,0,0); return x; }
-function startOfISOWeek(d){ const x=startOfDay(d); const wd=(x.getDay()+6)%7; x.setDate(x.getDate()-wd); return x; }
-function addHours(d,h){ const x=new Date(d); x.setTime(x.getTime()+h*3600*1000); return x; }
-function addDays(d,dy){ const x=new Date(d); x.setDate(x.getDate()+dy); return x; }
-
-function unitsToDateRange(view, anchorDate, su, eu){
-  if (view==='hour'){
-    const base = startOfDay(new Date());
-    return { start: addHours(base, su), end: addHours(base, eu) };
-  }
-  if (view==='week'){
-    const base = startOfISOWeek(anchorDate);
-    const sDay = Math.floor(su); const eDay = Math.floor(eu);
-    const sFrac = su - sDay; const eFrac = eu - eDay;
-    const s = addHours(addDays(base, sDay), sFrac*24);
-    const e = addHours(addDays(base, eDay), Math.max(0.5, eFrac*24));
-    return { start: s, end: e };
-  }
-  // month
-  const base = new Date(anchorDate.getFullYear(), anchorDate.getMonth(), 1);
-  const sDay = Math.floor(su); const eDay = Math.floor(eu);
-  const sFrac = su - sDay; const eFrac = eu - eDay;
-  const s = addHours(addDays(base, sDay), sFrac*24);
-  const e = addHours(addDays(base, eDay), Math.max(0.5, eFrac*24));
-  return { start: s, end: e };
-}
-
-function fmtDateTime(d){
-  const dd=pad2(d.getDate()); const mm=pad2(d.getMonth()+1); const yyyy=d.getFullYear();
-  const hh=pad2(d.getHours()); const mi=pad2(d.getMinutes());
-  return `${dd}.${mm}.${yyyy} ${hh}:${mi}`;
-}
-
-// ---- Snap options per view/preset (values are in *view units*) ----
-function getSnapOptions(view, preset){
-  if (view === 'hour'){
-    return [
-      { label: '1 min',  units: 1/60 },
-      { label: '5 min',  units: 5/60 },
-      { label: '10 min', units: 10/60 },
-      { label: '15 min', units: 15/60 },
-    ];
-  }
-  if (view === 'week'){
-    // snapping in fractions of a day
-    return [
-      { label: '15 min', units: 15/1440 },
-      { label: '30 min', units: 30/1440 },
-      { label: '1 h',    units: 1/24 },
-      { label: '2 h',    units: 2/24 },
-      { label: '4 h',    units: 4/24 },
-    ];
-  }
-  // Month view: adapt to preset length
-  if (/Full Month/i.test(preset||'')){
-    return [
-      { label: '6 h',  units: 6/24 },
-      { label: '12 h', units: 12/24 },
-      { label: '1 d',  units: 1 },
-      { label: '2 d',  units: 2 },
-    ];
-  }
-  // 7/14 days → finer grid
-  return [
-    { label: '1 h',  units: 1/24 },
-    { label: '3 h',  units: 3/24 },
-    { label: '6 h',  units: 6/24 },
-    { label: '12 h', units: 12/24 },
-    { label: '1 d',  units: 1 },
-  ];
+
+    const onUp = (e) => {
+      const ls = linkRef.current;
+      if (!ls || !isOwnPointer(ls, e)) return;
+      linkRef.current = null;
+      if (lineRef.current) lineRef.current.style.display = 'none';
+      document.body.style.cursor = 'default';
+      if (e.type === 'pointercancel') return;
+      const hit = cbRef.current.pickBarAt(e.clientX, e.clientY);
+      if (!hit || String(hit.task.id) === String(ls.task.id)) return;
+      const toSide = e.clientX < hit.rect.left + hit.rect.width/2 ? 'start' : 'end';
+      cbRef.current.onLink?.(ls.task, ls.side, hit.task, toSide);
+    };
+
+    return listenPointer(onMove, onUp);
+  }, []);
+
+  // (x, y) = handle centre in content px
+  const beginLink = (task, side, x, y, pointerId = null) => {
+    linkRef.current = { task, side, pointerId };
+    const line = lineRef.current;
+    if (line){
+      for (const [k, v] of [['x1', x], ['y1', y], ['x2', x], ['y2', y]]) line.setAttribute(k, v);
+      line.style.display = '';
+    }
+    document.body.style.cursor = 'crosshair';
+  };
+
+  return { beginLink };
+}
+
+// --------- Rubber-band selection ---------
+// boxRef: the rectangle element in chart content; onSelect(rect, additive) gets { x0, y0, x1, y1 } in content px
+function useLasso({ boxRef, toContent, onSelect }){
+  const lassoRef = useRef(null);
+  const cbRef = useRef({ toContent, onSelect });
+  cbRef.current = { toContent, onSelect };
+
+  useEffect(() => {
+    const rectOf = (ls, e) => {
+      const p = cbRef.current.toContent(e.clientX, e.clientY);
+      return { x0: Math.min(ls.x, p.x), y0: Math.min(ls.y, p.y), x1: Math.max(ls.x, p.x), y1: Math.max(ls.y, p.y) };
+    };
+
+    const onMove = (e) => {
+      const ls = lassoRef.current, box = boxRef.current;
+      if (!ls || !box || !isOwnPointer(ls, e)) return;
+      const r = rectOf(ls, e);
+      Object.assign(box.style, { left: `${r.x0}px`, top: `${r.y0}px`, width: `${r.x1 - r.x0}px`, height: `${r.y1 - r.y0}px`, display: '' });
+    };
+
+    const onUp = (e) => {
+      const ls = lassoRef.current;
+      if (!ls || !isOwnPointer(ls, e)) return;
+      lassoRef.current = null;
+      if (boxRef.current) boxRef.current.style.display = 'none';
+      document.body.style.cursor = 'default';
+      if (e.type !== 'pointercancel') cbRef.current.onSelect?.(rectOf(ls, e), ls.additive);
+    };
+
+    return listenPointer(onMove, onUp);
+  }, []);
+
+  // (x, y) = press point in content px
+  const beginLasso = (x, y, additive, pointerId = null) => {
+    lassoRef.current = { x, y, additive, pointerId };
+    document.body.style.cursor = 'crosshair';
+  };
+
+  return { beginLasso };
+}
+
+const HISTORY_LIMIT = 100; // undo steps kept
+
+// list with a batch applied: updated in place, deleted dropped, created appended
+function mergeTaskChanges(list, changes){
+  const byId = new Map(changes.map(c => [String((c.prev || c.next).id), c.next]));
+  const out = [];
+  for (const t of list){
+    const k = String(t.id);
+    if (!byId.has(k)) out.push(t);
+    else { if (byId.get(k)) out.push(byId.get(k)); byId.delete(k); }
+  }
+  for (const t of byId.values()) if (t) out.push(t); // created
+  return out;
+}
+
+// Same tasks as far as the chart edits them (ids, dates, resource, title, dependencies), in any order
+function sameTaskData(a, b){
+  if (!b || a.length !== b.length) return false;
+  const deps = (t) => (t.dependencies || []).map(d => `${d.predecessorId}:${d.type}:${d.lag}`).join(',');
+  const byId = new Map(b.map(t => [String(t.id), t]));
+  return a.every(t => {
+    const o = byId.get(String(t.id));
+    return !!o && +o.start === +t.start && +o.end === +t.end && String(o.resourceId) === String(t.resourceId)
+        && o.title === t.title && deps(o) === deps(t);
+  });
+}
+
+// Live-region sentence for a batch of changes (the first change names it)
+function describeChanges(changes, info, z){
+  const [c] = changes;
+  const t = c.next || c.prev;
+  const name = t.title || `Task ${t.id}`;
+  const prefix = info?.mode === 'undo' ? 'Undone: ' : info?.mode === 'redo' ? 'Redone: ' : '';
+  const more = changes.length > 1 ? ` (and ${changes.length - 1} more)` : '';
+  if (!c.next) return `${prefix}${name} deleted${more}`;
+  const when = `${fmtDateTime(c.next.start, z)} – ${fmtDateTime(c.next.end, z)}`;
+  return `${prefix}${name} ${c.prev ? 'now' : 'created,'} ${when}${more}`;
+}
+
+// ---------- Dependency helpers ----------
+const DEP_GAP = 8;          // px an arrow runs straight out of / into a bar
+const LINK_HANDLE_R = 5;
+const LINK_HANDLE_GAP = 8;  // handle centre distance from the bar edge
+const DEP_COLORS = { normal: '#9CA3AF', violated: '#EF4444', selected: '#60A5FA' };
+
+function depKey(taskId, dep){ return `${taskId}|${dep.predecessorId}|${dep.type}`; }
+
+// Links between placed bars: link = { key, pred, succ, dep } (pred/succ: geometry.byTask entries). byTask: task id →
+// the links at either end; spanning: links between rows as { link, y0, y1 } (the rows' extent), longest first, so
+// the ones passing over a window without an end in it are found without walking every task.
+function indexDependencies(byTask){
+  const links = [], index = new Map(), spanning = [];
+  const add = (id, link) => { const l = index.get(id); l ? l.push(link) : index.set(id, [link]); };
+  for (const [id, succ] of byTask){
+    for (const dep of succ.item.task.dependencies || []){
+      const pred = byTask.get(String(dep.predecessorId));
+      if (!pred) continue;
+      const link = { key: depKey(succ.item.task.id, dep), pred, succ, dep };
+      links.push(link);
+      add(id, link);
+      if (String(dep.predecessorId) !== id) add(String(dep.predecessorId), link);
+      if (pred.row !== succ.row){
+        const [a, b] = pred.row.top < succ.row.top ? [pred.row, succ.row] : [succ.row, pred.row];
+        spanning.push({ link, y0: a.top, y1: b.top + b.height });
+      }
+    }
+  }
+  spanning.sort((a, b) => (b.y1 - b.y0) - (a.y1 - a.y0));
+  return { links, byTask: index, spanning };
+}
+
+// Drawable arrows for links (indexDependencies), boxOf(row, item) = bar box in content px (null: off range).
+// s/t are the arrow's end points (for culling).
+function dependencyArrows(links, boxOf){
+  const out = [];
+  for (const { key, pred, succ, dep } of links){
+    const a = boxOf(pred.row, pred.item), b = boxOf(succ.row, succ.item);
+    if (!a || !b) continue;
+    const fromEnd = dep.type[0] === 'F', toStart = dep.type[1] === 'S';
+    const s = { x: fromEnd ? a.leftPx + a.widthPx : a.leftPx, y: a.top + a.height/2 };
+    const t = { x: toStart ? b.leftPx : b.leftPx + b.widthPx, y: b.top + b.height/2 };
+    out.push({
+      key, s, t,
+      d: routeDependency(s, fromEnd ? 1 : -1, t, toStart ? 1 : -1, a.height/2 + 3),
+      violated: isDependencyViolated(pred.item.task, succ.item.task, dep),
+    });
+  }
+  return out;
+}
+function splitDepKey(key){ return String(key).split('|'); }
+
+// Orthogonal route from s (leaving in sDir: +1 right, -1 left) to t (arriving in tDir).
+// detourDy: vertical offset of the horizontal run used when the bars leave no room between them.
+function routeDependency(s, sDir, t, tDir, detourDy){
+  const ax = s.x + sDir*DEP_GAP;
+  const bx = t.x - tDir*DEP_GAP;
+  let pts;
+  if (sDir !== tDir){
+    // SS / FF: one vertical outside both bars
+    const x = sDir < 0 ? Math.min(ax, bx) : Math.max(ax, bx);
+    pts = [[s.x, s.y], [x, s.y], [x, t.y], [t.x, t.y]];
+  } else if ((bx - ax) * sDir >= 0){
+    // FS / SF with room between the bars
+    pts = [[s.x, s.y], [ax, s.y], [ax, t.y], [t.x, t.y]];
+  } else {
+    const my = s.y + (t.y >= s.y ? detourDy : -detourDy);
+    pts = [[s.x, s.y], [ax, s.y], [ax, my], [bx, my], [bx, t.y], [t.x, t.y]];
+  }
+  return 'M' + pts.map(([x, y]) => `${Math.round(x)},${Math.round(y)}`).join(' L');
+}
+
+// ---------- Load histogram ----------
+const LOAD_ROW_PX = 16;
+const LOAD_FOOTER_PX = 48;
+const LOAD_COLORS = { under: '#10B981', full: '#F59E0B', over: '#EF4444' };
+
+function loadKind(ratio){ return ratio > 1 ? 'over' : ratio >= 0.8 ? 'full' : 'under'; }
+
+// Buckets of one header unit over [t0, t1): { start, end, alloc, cap } in ms
+function makeLoadBuckets(t0, t1, { unit, step }, z){
+  const out = [];
+  for (let d = floorToUnit(t0, unit, step, z); +d < t1; ){
+    const next = addUnit(d, unit, step, z);
+    out.push({ start: +d, end: +next, alloc: 0, cap: 0 });
+    d = next;
+  }
+  return out;
+}
+
+function addAllocation(buckets, start, end){
+  let lo = 0, hi = buckets.length;
+  while (lo < hi){ const mid = (lo + hi) >> 1; if (buckets[mid].end <= start) lo = mid + 1; else hi = mid; }
+  for (let i = lo; i < buckets.length && buckets[i].start < end; i++){
+    const b = buckets[i];
+    b.alloc += Math.max(0, Math.min(end, b.end) - Math.max(start, b.start));
+  }
+}
+
+function renderLoadBuckets(buckets, scale, heightPx){
+  if (!buckets) return null;
+  return buckets.map(b => {
+    if (!b.alloc) return null;
+    const ratio = b.cap ? b.alloc / b.cap : Infinity;
+    const kind = loadKind(ratio);
+    const left = Math.round(scale.toX(b.start));
+    const width = Math.max(1, Math.round(scale.toX(b.end)) - left - 1);
+    return (
+      <div key={b.start} className="absolute bottom-0"
+           title={`${(b.alloc / HOUR_MS).toFixed(1)} h of ${(b.cap / HOUR_MS).toFixed(1)} h`}
+           style={{ left, width, height: Math.max(1, Math.round(Math.min(1, ratio) * heightPx)), background: LOAD_COLORS[kind], opacity: 0.85 }} />
+    );
+  });
+}
+
+// ---------- Critical path ----------
+const CRITICAL_RGBA = 'rgba(248,113,113,0.95)';
+const SELECTED_RGBA = 'rgba(251,191,36,0.95)'; // outline of selected bars
+
+// 1d 4h 30m (largest units first, zero parts left out)
+function formatDuration(ms){
+  let m = Math.round(Math.max(0, ms) / MINUTE_MS);
+  const d = Math.floor(m / 1440); m -= d*1440;
+  const h = Math.floor(m / 60); m -= h*60;
+  return [d && `${d}d`, h && `${h}h`, (m || (!d && !h)) && `${m}m`].filter(Boolean).join(' ');
+}
+
+function describeSchedule({ mode, moved, cycles, violations }){
+  if (cycles.length) return `⚠ Dependency cycle: ${cycles[0].join(' → ')}`;
+  if (violations.length) return `⚠ ${violations.length} dependenc${violations.length === 1 ? 'y' : 'ies'} violated`;
+  if (mode === 'push' && moved.length) return `${moved.length} successor${moved.length === 1 ? '' : 's'} rescheduled`;
+  return '';
+}
+
+// ---------- Export: SVG / PNG / PDF ----------
+// Built from the chart's data and geometry, not the DOM: the body is virtualized, exports cover the whole
+// range and every row. Everything stays in the browser (no fonts, images or services are fetched).
+const EXPORT_LEFT_PX = 200;       // resource column in exports
+const EXPORT_MAX_CANVAS_PX = 16384; // browsers refuse larger canvases
+const PDF_PAGE = { width: 842, height: 595, margin: 24 }; // A4 landscape, pt
+const PDF_PT_PER_PX = 0.6;
+
+// Standalone SVG document of one viewport of the chart (default: all of it) — body content px [x, x + w] and rows
+// [y, y + h], with the header and the resource column for that window. c: { scale, rows, totalHeight, headerPx,
+// boxOf(row, item), shadingOf(row) → [[s, e]], arrows (dependencyArrows), cal, zone, zone2, colorOf(task),
+// isCritical(task) }
+function chartSvg(c, view = { x: 0, y: 0, w: Math.ceil(c.scale.contentPx), h: c.totalHeight }){
+  const { x: X, y: Y, w: W, h: BH } = view, L = EXPORT_LEFT_PX, H = c.headerPx;
+  const rows = c.rows.filter(row => row.top + row.height > Y && row.top < Y + BH);
+  const inX = (left, width) => left + width >= X && left <= X + W;
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${L + W}" height="${H + BH}" font-family="system-ui, -apple-system, 'Segoe UI', Roboto, sans-serif" font-size="12">`);
+  out.push(`<defs><pattern id="hatch" width="8" height="8" patternUnits="userSpaceOnUse" patternTransform="rotate(45)"><rect width="4" height="8" fill="rgba(0,0,0,0.35)"/></pattern>`);
+  for (const k of ['normal', 'violated']){
+    out.push(`<marker id="arrow-${k}" viewBox="0 0 8 8" refX="7" refY="4" markerWidth="7" markerHeight="7" orient="auto"><path d="M0,0 L8,4 L0,8 z" fill="${DEP_COLORS[k]}"/></marker>`);
+  }
+  out.push(`</defs><rect width="100%" height="100%" fill="#111827"/>`);
+
+  // Timeline header (nested <svg>s clip each part to the viewport)
+  const ticks = timelineTicks(c.scale, X, X + W, c.cal, c.zone, c.zone2);
+  out.push(`<svg x="${L}" y="0" width="${W}" height="${H}"><g transform="translate(${-X},0)">`);
+  for (const [left, width] of ticks.bands) out.push(`<rect x="${left}" y="${HEADER_MAJOR_PX}" width="${width}" height="${H - HEADER_MAJOR_PX}" fill="${NONWORK_RGBA}"/>`);
+  for (const { x, cx, label, label2 } of ticks.minor){
+    out.push(`<rect x="${x}" y="${HEADER_MAJOR_PX}" width="1" height="${H - HEADER_MAJOR_PX}" fill="#4b5563"/>`);
+    out.push(`<text x="${cx}" y="${HEADER_MAJOR_PX + 6}" dominant-baseline="hanging" text-anchor="middle" fill="#cbd5e1">${xmlEscape(label)}</text>`);
+    if (label2) out.push(`<text x="${cx}" y="${H - 3}" text-anchor="middle" font-size="11" fill="#94a3b8">${xmlEscape(label2)}</text>`);
+  }
+  if (c.zone2) out.push(`<rect x="${X}" y="${H - ZONE2_ROW_PX}" width="${W}" height="1" fill="#374151"/>`);
+  for (const { x, nextX, label } of ticks.major){
+    out.push(`<rect x="${x}" y="0" width="1" height="${H}" fill="#6b7280"/>`);
+    // a period starting left of the viewport keeps its label at the left edge (as the live header does)
+    out.push(`<text x="${Math.max(x, Math.min(X, nextX - label.length * 7 - 8)) + 4}" y="3" dominant-baseline="hanging" font-weight="600" fill="#e5e7eb">${xmlEscape(label)}</text>`);
+  }
+  out.push(`<rect x="${X}" y="${HEADER_MAJOR_PX}" width="${W}" height="1" fill="#374151"/><rect x="${X}" y="${H - 1}" width="${W}" height="1" fill="#374151"/></g></svg>`);
+
+  // Rows, bars and arrows
+  out.push(`<svg x="${L}" y="${H}" width="${W}" height="${BH}"><g transform="translate(${-X},${-Y})">`);
+  for (const row of rows){
+    out.push(`<rect x="${X}" y="${row.top}" width="${W}" height="${row.height}" fill="${row.idx % 2 === 0 ? '#1F2937' : '#374151'}"/>`);
+    for (const [s, e] of c.shadingOf(row)){
+      const left = Math.round(c.scale.toX(s)), width = Math.round(c.scale.toX(e)) - left;
+      if (inX(left, width)) out.push(`<rect x="${left}" y="${row.top}" width="${width}" height="${row.height}" fill="${NONWORK_ROW_RGBA}"/>`);
+    }
+    out.push(`<rect x="${X}" y="${row.top + row.height - 1}" width="${W}" height="1" fill="#1f2937"/>`);
+    if (row.rollup){
+      for (const r of rollupShapes(row.rollup, c.groupSummary, c.scale, row.height)){
+        if (inX(r.left, r.width)) out.push(`<rect x="${r.left}" y="${row.top + r.top}" width="${r.width}" height="${r.height}" rx="${c.groupSummary === 'density' ? 0 : 2}" fill="${r.fill}" opacity="${r.opacity}"/>`);
+      }
+    }
+    for (const item of row.info.items){
+      const b = c.boxOf(row, item);
+      if (!b || !inX(b.leftPx, b.widthPx)) continue;
+      const { task } = item;
+      out.push(`<rect x="${b.leftPx}" y="${b.top}" width="${b.widthPx}" height="${b.height}" rx="4" fill="${xmlEscape(c.colorOf(task))}"/>`);
+      if (row.info.conflicts.ids.has(String(task.id))) out.push(`<rect x="${b.leftPx}" y="${b.top}" width="${b.widthPx}" height="${b.height}" rx="4" fill="url(#hatch)"/>`);
+      if (c.isCritical(task)) out.push(`<rect x="${b.leftPx + 1}" y="${b.top + 1}" width="${b.widthPx - 2}" height="${b.height - 2}" rx="3" fill="none" stroke="${CRITICAL_RGBA}" stroke-width="2"/>`);
+      // nested <svg> clips the label to the bar
+      out.push(`<svg x="${b.leftPx + 8}" y="${b.top}" width="${Math.max(0, b.widthPx - 16)}" height="${b.height}"><text x="50%" y="50%" dominant-baseline="central" text-anchor="middle" fill="#fff">${xmlEscape(task.title ?? '')}</text></svg>`);
+    }
+  }
+  for (const { d, violated } of c.arrows){
+    const k = violated ? 'violated' : 'normal';
+    out.push(`<path d="${d}" fill="none" stroke="${DEP_COLORS[k]}" stroke-width="${violated ? 2 : 1.5}"${violated ? ' stroke-dasharray="4 3"' : ''} marker-end="url(#arrow-${k})"/>`);
+  }
+  out.push(`</g></svg>`);
+
+  // Resource column
+  out.push(`<svg x="0" y="${H}" width="${L}" height="${BH}"><g transform="translate(0,${-Y})">`);
+  for (const row of rows){
+    out.push(`<rect x="0" y="${row.top}" width="${L}" height="${row.height}" fill="${row.idx % 2 === 0 ? '#1F2937' : '#374151'}"/>`);
+    out.push(`<rect x="0" y="${row.top + row.height - 1}" width="${L}" height="1" fill="#374151"/>`);
+    const indent = 16 + (row.depth || 0) * GROUP_INDENT_PX;
+    const name = `${row.group ? (row.group.open ? '▾ ' : '▸ ') : ''}${row.resource.name ?? row.resource.id}`;
+    out.push(`<svg x="${indent}" y="${row.top}" width="${Math.max(0, L - 8 - indent)}" height="${row.height - (row.info.histPx || 0)}"><text x="0" y="50%" dominant-baseline="central" font-size="14" font-weight="${row.group ? 600 : 500}" fill="#e5e7eb">${xmlEscape(name)}</text></svg>`);
+  }
+  out.push(`</g><rect x="${L - 1}" y="0" width="1" height="${BH}" fill="#374151"/></svg>`);
+  out.push(`<rect x="0" y="0" width="${L}" height="${H}" fill="#111827"/><rect x="${L - 1}" y="0" width="1" height="${H}" fill="#374151"/><rect x="0" y="${H - 1}" width="${L}" height="1" fill="#374151"/>`);
+  out.push(`<text x="12" y="${H / 2}" dominant-baseline="central" font-size="18" font-weight="600" fill="#e5e7eb">Resources</text>`);
+  out.push('</svg>');
+  return out.join('\n');
+}
+
+// SVG string → canvas at pixelRatio (reduced when the canvas would exceed the browser limit)
+async function svgToCanvas(svg, width, height, pixelRatio = 1){
+  const ratio = Math.min(pixelRatio, EXPORT_MAX_CANVAS_PX / width, EXPORT_MAX_CANVAS_PX / height);
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const g = canvas.getContext('2d');
+    g.scale(ratio, ratio);
+    g.drawImage(img, 0, 0, width, height);
+    return canvas;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function canvasToBlob(canvas, type, quality){
+  return new Promise((resolve, reject) => canvas.toBlob(b => b ? resolve(b) : reject(new Error(`Could not encode ${type}`)), type, quality));
+}
+
+// Viewports of at most tileW × tileH body px: down, then across, breaking between rows where possible
+function chartTiles(c, tileW, tileH){
+  const W = Math.ceil(c.scale.contentPx);
+  const ys = [0];
+  for (const row of c.rows){
+    const y0 = ys[ys.length - 1];
+    if (row.top + row.height - y0 <= tileH) continue;
+    if (row.top > y0) ys.push(row.top);
+    while (row.top + row.height - ys[ys.length - 1] > tileH) ys.push(ys[ys.length - 1] + tileH); // row taller than a tile
+  }
+  ys.push(Math.max(c.totalHeight, ys[ys.length - 1] + 1));
+  const xs = [];
+  for (let x = 0; x < W; x += tileW) xs.push(x);
+  xs.push(W);
+
+  const tiles = [];
+  for (let i = 0; i < xs.length - 1; i++){
+    for (let j = 0; j < ys.length - 1; j++) tiles.push({ x: xs[i], y: ys[j], w: xs[i+1] - xs[i], h: ys[j+1] - ys[j] });
+  }
+  return tiles;
+}
+
+// PNG of the whole chart, or — when that exceeds the browser's canvas limit at pixelRatio — one PNG per tile,
+// each repeating the header and the resource column
+async function chartPng(c, pixelRatio){
+  const width = EXPORT_LEFT_PX + Math.ceil(c.scale.contentPx), height = c.headerPx + c.totalHeight;
+  if (Math.max(width, height) * pixelRatio <= EXPORT_MAX_CANVAS_PX){
+    return canvasToBlob(await svgToCanvas(chartSvg(c), width, height, pixelRatio), 'image/png');
+  }
+  const maxPx = Math.floor(EXPORT_MAX_CANVAS_PX / pixelRatio);
+  const blobs = [];
+  for (const v of chartTiles(c, Math.max(100, maxPx - EXPORT_LEFT_PX), Math.max(40, maxPx - c.headerPx))){
+    blobs.push(await canvasToBlob(await svgToCanvas(chartSvg(c, v), EXPORT_LEFT_PX + v.w, c.headerPx + v.h, pixelRatio), 'image/png'));
+  }
+  return blobs;
+}
+
+// One page per tile, each rasterized from its own viewport; every page repeats the header and the resource column
+async function chartPdf(c, pixelRatio){
+  const L = EXPORT_LEFT_PX, H = c.headerPx;
+  const pageW = (PDF_PAGE.width - 2*PDF_PAGE.margin) / PDF_PT_PER_PX;
+  const pageH = (PDF_PAGE.height - 2*PDF_PAGE.margin - 12) / PDF_PT_PER_PX; // 12 pt: footer line
+  const tiles = chartTiles(c, Math.max(100, Math.floor(pageW - L)), Math.max(40, Math.floor(pageH - H)));
+
+  const pages = [];
+  for (const v of tiles){
+    const page = await svgToCanvas(chartSvg(c, v), L + v.w, H + v.h, pixelRatio);
+    const jpeg = new Uint8Array(await (await canvasToBlob(page, 'image/jpeg', 0.92)).arrayBuffer());
+    const ptW = (L + v.w) * PDF_PT_PER_PX, ptH = (H + v.h) * PDF_PT_PER_PX;
+    pages.push({ jpeg, pxW: page.width, pxH: page.height, x: PDF_PAGE.margin, y: PDF_PAGE.height - PDF_PAGE.margin - ptH, w: ptW, h: ptH,
+                 footer: `Page ${pages.length + 1} of ${tiles.length}` });
+  }
+  return jpegPdf(pages);
+}
+
+function pdfString(s){ return String(s).replace(/[\\()]/g, ch => '\\' + ch); }
+
+// Minimal PDF 1.4: per page one JPEG (DCTDecode) placed at x/y/w/h pt plus a Helvetica footer line
+function jpegPdf(pages){
+  const enc = new TextEncoder();
+  const chunks = [], offsets = [];
+  let size = 0;
+  const push = (part) => { const b = typeof part === 'string' ? enc.encode(part) : part; chunks.push(b); size += b.length; };
+  const obj = (n, ...parts) => { offsets[n] = size; push(`${n} 0 obj\n`); parts.forEach(push); push('\nendobj\n'); };
+
+  push('%PDF-1.4\n%âãÏÓ\n');
+  const first = 4; // 1 catalog, 2 page tree, 3 font; then page, content, image per page
+  const ids = pages.map((_, i) => first + 3*i);
+  obj(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  obj(2, `<< /Type /Pages /Kids [${ids.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  obj(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  pages.forEach((p, i) => {
+    const id = ids[i];
+    const content = `q ${p.w.toFixed(2)} 0 0 ${p.h.toFixed(2)} ${p.x.toFixed(2)} ${p.y.toFixed(2)} cm /Im0 Do Q\n`
+                  + `BT /F1 8 Tf ${PDF_PAGE.margin} ${PDF_PAGE.margin - 12} Td (${pdfString(p.footer)}) Tj ET`;
+    obj(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] `
+          + `/Resources << /XObject << /Im0 ${id + 2} 0 R >> /Font << /F1 3 0 R >> >> /Contents ${id + 1} 0 R >>`);
+    obj(id + 1, `<< /Length ${enc.encode(content).length} >>\nstream\n`, content, '\nendstream');
+    obj(id + 2, `<< /Type /XObject /Subtype /Image /Width ${p.pxW} /Height ${p.pxH} /ColorSpace /DeviceRGB `
+              + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${p.jpeg.length} >>\nstream\n`, p.jpeg, '\nendstream');
+  });
+  const count = first + 3*pages.length;
+  const xref = size;
+  push(`xref\n0 ${count}\n0000000000 65535 f \n`);
+  for (let n = 1; n < count; n++) push(`${String(offsets[n]).padStart(10, '0')} 00000 n \n`);
+  push(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+function downloadBlob(blob, filename){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ---- Snap steps (ms); the dropdown offers those that are at least MIN_SNAP_PX wide at the current zoom ----
+const SNAP_STEPS = [
+  { label: '1 min',  ms: MINUTE_MS },
+  { label: '5 min',  ms: 5*MINUTE_MS },
+  { label: '10 min', ms: 10*MINUTE_MS },
+  { label: '15 min', ms: 15*MINUTE_MS },
+  { label: '30 min', ms: 30*MINUTE_MS },
+  { label: '1 h',    ms: HOUR_MS },
+  { label: '2 h',    ms: 2*HOUR_MS },
+  { label: '3 h',    ms: 3*HOUR_MS },
+  { label: '4 h',    ms: 4*HOUR_MS },
+  { label: '6 h',    ms: 6*HOUR_MS },
+  { label: '12 h',   ms: 12*HOUR_MS },
+  { label: '1 d',    ms: DAY_MS },
+  { label: '2 d',    ms: 2*DAY_MS },
+  { label: '1 w',    ms: 7*DAY_MS },
+];
+const MIN_SNAP_PX = 4;
+
+function getSnapOptions(pxPerMs){
+  const i = SNAP_STEPS.findIndex(s => s.ms * pxPerMs >= MIN_SNAP_PX);
+  const from = i < 0 ? SNAP_STEPS.length - 1 : Math.min(i, SNAP_STEPS.length - 5);
+  return SNAP_STEPS.slice(from, from + 5);
+}
+
+// Snap an absolute time to the zone's wall-clock grid: sub-day steps restart at each midnight,
+// day-or-longer steps count whole days from a Monday (so '1 w' lands on ISO week starts).
+function snapTime(t, stepMs, z = LOCAL_ZONE){
+  if (!stepMs) return t;
+  if (stepMs < DAY_MS){
+    const base = startOfDay(t, z).getTime();
+    return base + Math.round((t - base) / stepMs) * stepMs;
+  }
+  const epoch = z.make(1970, 0, 5); // a Monday
+  const days = Math.round(stepMs / DAY_MS);
+  const nearestMidnight = startOfDay(addHours(new Date(t), 12), z);
+  const idx = Math.round((nearestMidnight - epoch) / DAY_MS); // rounding absorbs 23/25-hour days
+  return addDays(epoch, Math.round(idx / days) * days, z).getTime();
 }
 
 // ---------- Example parent using API (acts as a manual and edge-case test harness) ----------
+// What a dispatcher wants next to each name
+const DISPATCH_COLUMNS = [
+  'name',
+  { header: 'Skill', accessor: 'skill', width: 96 },
+  { header: 'Location', accessor: 'location', width: 104 },
+  { id: 'contract', header: 'Contract', accessor: 'contractHours', width: 72, align: 'right', format: (h) => `${h} h/wk` },
+  'load',
+];
+
 export function GanttContainer(){
   const [res, setRes] = useState([]);
   const [tsk, setTsk] = useState([]);
@@ -877,15 +3228,23 @@ export function GanttContainer(){
     })();
   }, []);
 
-  const handleTasksChange = (task, change) => {
+  // Controlled mode: the chart reports the edited task plus everything rescheduled with it, we own the list.
+  // prev = null is a new task, next = null a removed one (undo/redo report the same way).
+  const handleTasksChange = (next, prev, change) => {
     // For testing, just log; integrate your PATCH here.
-    console.log('Task changed', task, change);
+    console.log('Task changed', prev, '→', next, change);
+    setTsk(list => {
+      const byId = new Map(change.changes.map(c => [(c.prev || c.next).id, c.next]));
+      const kept = list.filter(t => !byId.has(t.id) || byId.get(t.id)).map(t => byId.get(t.id) || t);
+      const added = change.changes.filter(c => !c.prev && c.next).map(c => c.next);
+      return [...kept, ...added];
+    });
   };
 
   return (
     <div className="h-screen">
       <RobustGantt resources={res} tasks={tsk} initialView="hour" initialPreset="12 Hours"
-                   onTasksChange={handleTasksChange} palette={DEFAULT_PALETTE} />
+                   onTasksChange={handleTasksChange} palette={DEFAULT_PALETTE} columns={DISPATCH_COLUMNS} />
     </div>
   );
 }
@@ -899,6 +3258,8 @@ export function GanttEdgeCases(){
   const tasks = [
     { id:'t1', resourceId:'rA', title:'Overnight', start:new Date(now.getFullYear(), now.getMonth(), 10, 22, 0), end:new Date(now.getFullYear(), now.getMonth(), 11, 6, 0), color:'#3B82F6' },
     { id:'t2', resourceId:'rA', title:'Edge Start', start:new Date(monthStart.getFullYear(), monthStart.getMonth(), 1, 0, 30), end:new Date(monthStart.getFullYear(), monthStart.getMonth(), 1, 2, 0), color:'#10B981' },
+    { id:'t4', resourceId:'rB', title:'Follow-up', start:new Date(now.getFullYear(), now.getMonth(), 11, 4, 0), end:new Date(now.getFullYear(), now.getMonth(), 11, 9, 0), color:'#8B5CF6',
+      dependencies:[{ predecessorId:'t1', type:'FS', lag:0 }] }, // starts before t1 ends → red arrow
     { id:'t3', resourceId:'rB', title:'Edge End', start:new Date(monthEnd.getFullYear(), monthEnd.getMonth(), monthEnd.getDate()-1, 12, 0), end:new Date(monthEnd.getFullYear(), monthEnd.getMonth(), monthEnd.getDate(), 23, 30), color:'#F59E0B' },
   ];
   return (
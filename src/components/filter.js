@@ -0,0 +1,99 @@
+// Task and resource filters: the query language and structured conditions, compiled to match functions.
+// No React, no DOM.
+import { LOCAL_ZONE } from './time.js';
+
+// filter: { query, task: { field: cond }, resource: { field: cond }, predicate(task, resource), mode: 'dim' | 'hide',
+// onlyMatchingRows }. A cond is a value (equal; text case-insensitive), an array (any of), a RegExp, a function
+// (value, item) => bool or an object of operators { eq, ne, in, lt, lte, gt, gte, contains, matches }.
+// The query is words (each must appear in the task title or its resource's name, -word must not) and field tokens:
+// `skill:hvac` (contains; equal for numbers), `status=late`, `hours>30`, `start>=2026-03-01`, `-status:done`,
+// quoted values (`site:"North depot"`), `task.`/`resource.` to pick the side (else the task's field, falling
+// back to the resource's).
+const FILTER_TOKEN_RE = /(-?)(?:(task\.|resource\.)?([A-Za-z_$][\w$]*)(:|!=|>=|<=|=|>|<))?(?:"([^"]*)"?|(\S+))/g;
+const FILTER_OPS = { ':': 'has', '=': 'eq', '!=': 'ne', '>': 'gt', '>=': 'gte', '<': 'lt', '<=': 'lte' };
+
+// → null when the filter lets everything through, else { matchTask(task, resource), matchResource(r), matchRow(r) }
+// (matchRow: a row without matching tasks still counts, e.g. a resource found by name)
+export function compileFilter(filter, zone = LOCAL_ZONE){
+  const words = [], notWords = [], taskConds = [], resourceConds = [], eitherConds = [];
+  for (const m of String(filter.query || '').matchAll(FILTER_TOKEN_RE)){
+    const [, neg, side, field, op] = m;
+    const value = m[5] ?? m[6];
+    if (!field){
+      if (value) (neg ? notWords : words).push(value.toLowerCase());
+      continue;
+    }
+    const test = (v) => testFilterCondition(v, { [FILTER_OPS[op]]: parseFilterValue(value, zone) });
+    const cond = { field, test: neg ? (v) => !test(v) : test };
+    (side === 'task.' ? taskConds : side === 'resource.' ? resourceConds : eitherConds).push(cond);
+  }
+  for (const [field, c] of Object.entries(filter.task || {})) taskConds.push({ field, test: (v, t) => testFilterCondition(v, c, t) });
+  for (const [field, c] of Object.entries(filter.resource || {})) resourceConds.push({ field, test: (v, r) => testFilterCondition(v, c, r) });
+  const predicate = typeof filter.predicate === 'function' ? filter.predicate : null;
+  if (!words.length && !notWords.length && !taskConds.length && !resourceConds.length && !eitherConds.length && !predicate) return null;
+
+  const name = (r) => String(r?.name ?? r?.id ?? '').toLowerCase();
+  const matchResource = (r) => resourceConds.every(c => c.test(r?.[c.field], r));
+  const matchTask = (t, r) => {
+    if (!matchResource(r)) return false;
+    const title = String(t.title ?? '').toLowerCase(), who = name(r);
+    return words.every(w => title.includes(w) || who.includes(w)) && !notWords.some(w => title.includes(w) || who.includes(w))
+      && taskConds.every(c => c.test(t[c.field], t))
+      && eitherConds.every(c => t[c.field] !== undefined ? c.test(t[c.field], t) : c.test(r?.[c.field], r))
+      && (!predicate || !!predicate(t, r));
+  };
+  const taskOnly = taskConds.length > 0 || !!predicate;
+  const matchRow = (r) => matchResource(r) && !taskOnly && words.every(w => name(r).includes(w)) && !notWords.some(w => name(r).includes(w))
+    && eitherConds.every(c => c.test(r[c.field], r)) && (words.length > 0 || eitherConds.length > 0 || resourceConds.length > 0);
+  return { matchTask, matchResource, matchRow };
+}
+
+// Query values: numbers and ISO dates compare by value, anything else as text. Dates without an offset are
+// wall-clock times in the chart zone.
+function parseFilterValue(s, zone = LOCAL_ZONE){
+  if (s !== '' && !isNaN(s)) return Number(s);
+  const m = /^(\d{4})-(\d\d)-(\d\d)(?:T(\d\d):(\d\d)(?::(\d\d))?)?$/.exec(s);
+  if (m){ const d = zone.make(+m[1], m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0)); if (!isNaN(d)) return d; }
+  if (/^\d{4}-\d\d-\d\d/.test(s)){ const d = new Date(s); if (!isNaN(d)) return d; }
+  return s;
+}
+
+// Array field values pass when any element does
+export function testFilterCondition(v, cond, item){
+  if (Array.isArray(v)) return v.some(x => testFilterCondition(x, cond, item));
+  if (typeof cond === 'function') return !!cond(v, item);
+  if (cond instanceof RegExp) return v != null && cond.test(String(v));
+  if (Array.isArray(cond)) return cond.some(c => testFilterCondition(v, c, item));
+  if (!cond || typeof cond !== 'object' || cond instanceof Date) return filterEquals(v, cond);
+  return Object.entries(cond).every(([op, c]) => {
+    switch (op){
+      case 'eq': return filterEquals(v, c);
+      case 'ne': return !filterEquals(v, c);
+      case 'in': return [].concat(c).some(x => filterEquals(v, x));
+      case 'has': return typeof v === 'number' || v instanceof Date || typeof c !== 'string' ? filterEquals(v, c) : filterContains(v, c);
+      case 'contains': return filterContains(v, c);
+      case 'matches': return v != null && (c instanceof RegExp ? c : new RegExp(c, 'i')).test(String(v));
+      case 'lt': return filterCompare(v, c) < 0;
+      case 'lte': return filterCompare(v, c) <= 0;
+      case 'gt': return filterCompare(v, c) > 0;
+      case 'gte': return filterCompare(v, c) >= 0;
+      default: return true;
+    }
+  });
+}
+
+function filterEquals(v, c){
+  if (v instanceof Date || c instanceof Date) return v != null && c != null && +new Date(v) === +new Date(c);
+  if (typeof v === 'string' || typeof c === 'string') return v != null && String(v).toLowerCase() === String(c).toLowerCase();
+  return v === c;
+}
+
+function filterContains(v, c){ return v != null && String(v).toLowerCase().includes(String(c).toLowerCase()); }
+
+// NaN (→ no match) when either side is missing or they don't compare
+function filterCompare(v, c){
+  if (v == null || c == null) return NaN;
+  if (v instanceof Date || c instanceof Date) return +new Date(v) - +new Date(c);
+  if (typeof c === 'number') return Number(v) - c;
+  return String(v).localeCompare(String(c), undefined, { numeric: true, sensitivity: 'base' });
+}
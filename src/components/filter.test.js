@@ -0,0 +1,90 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilter, testFilterCondition } from './filter.js';
+import { makeZone } from './time.js';
+
+const resources = {
+  r1: { id: 'r1', name: 'Alice Robinson', skill: 'HVAC', location: 'North depot', contractHours: 40 },
+  r2: { id: 'r2', name: 'Yusuf Harris', skill: 'Plumbing', location: 'Airport', contractHours: 24 },
+};
+const tasks = [
+  { id: 'a', resourceId: 'r1', title: 'Boiler service', status: 'done', hours: 8, tags: ['urgent', 'gas'],
+    start: new Date('2026-03-02T08:00:00Z'), end: new Date('2026-03-02T12:00:00Z') },
+  { id: 'b', resourceId: 'r2', title: 'Leak repair', status: 'late', hours: 32, tags: ['water'],
+    start: new Date('2026-03-05T14:00:00Z'), end: new Date('2026-03-05T18:00:00Z') },
+  { id: 'c', resourceId: 'r2', title: 'Pipe survey', status: 'open', hours: 4, skill: 'Survey',
+    start: new Date('2026-03-09T09:00:00Z'), end: new Date('2026-03-09T10:00:00Z') },
+];
+const matching = (filter, zone) => {
+  const f = compileFilter(filter, zone);
+  return tasks.filter(t => f.matchTask(t, resources[t.resourceId])).map(t => t.id);
+};
+
+describe('compileFilter', () => {
+  test('an empty filter lets everything through', () => {
+    assert.equal(compileFilter({ query: '  ' }), null);
+    assert.equal(compileFilter({ query: '', task: {}, resource: null }), null);
+  });
+
+  test('words match the title or the resource name, -word excludes', () => {
+    assert.deepEqual(matching({ query: 'repair' }), ['b']);
+    assert.deepEqual(matching({ query: 'yusuf' }), ['b', 'c']);
+    assert.deepEqual(matching({ query: 'yusuf -leak' }), ['c']);
+  });
+
+  test('field operators', () => {
+    assert.deepEqual(matching({ query: 'status:LA' }), ['b']);        // contains, case-insensitive
+    assert.deepEqual(matching({ query: 'status=late' }), ['b']);
+    assert.deepEqual(matching({ query: 'status!=late' }), ['a', 'c']);
+    assert.deepEqual(matching({ query: '-status:done' }), ['b', 'c']);
+    assert.deepEqual(matching({ query: 'hours:8' }), ['a']);          // numbers compare by value
+    assert.deepEqual(matching({ query: 'hours>8' }), ['b']);
+    assert.deepEqual(matching({ query: 'hours>=8' }), ['a', 'b']);
+    assert.deepEqual(matching({ query: 'hours<=4' }), ['c']);
+    assert.deepEqual(matching({ query: 'tags:gas' }), ['a']);         // arrays pass when any element does
+    assert.deepEqual(matching({ query: 'location:"north depot"' }), ['a']);
+  });
+
+  test('task. and resource. pick the side, else the task field falls back to the resource', () => {
+    assert.deepEqual(matching({ query: 'skill:survey' }), ['c']);
+    assert.deepEqual(matching({ query: 'skill:plumbing' }), ['b']);
+    assert.deepEqual(matching({ query: 'resource.skill:plumbing' }), ['b', 'c']);
+    assert.deepEqual(matching({ query: 'task.skill:plumbing' }), []);
+  });
+
+  test('date operands are wall-clock times in the chart zone', () => {
+    const tokyo = makeZone('Asia/Tokyo');
+    // 2026-03-05 in Tokyo starts at 2026-03-04T15:00Z
+    assert.deepEqual(matching({ query: 'start>=2026-03-05' }, makeZone('UTC')), ['b', 'c']);
+    assert.deepEqual(matching({ query: 'start>=2026-03-05T23:00' }, tokyo), ['b', 'c']);
+    assert.deepEqual(matching({ query: 'start>=2026-03-06' }, tokyo), ['c']);
+    assert.deepEqual(matching({ query: 'end<=2026-03-02T21:00' }, tokyo), ['a']);
+    assert.deepEqual(matching({ query: 'start=2026-03-02T17:00' }, tokyo), ['a']);
+  });
+
+  test('structured conditions and the predicate', () => {
+    assert.deepEqual(matching({ task: { status: ['late', 'open'] } }), ['b', 'c']);
+    assert.deepEqual(matching({ task: { title: /^p/i } }), ['c']);
+    assert.deepEqual(matching({ task: { hours: { gt: 4, lt: 32 } } }), ['a']);
+    assert.deepEqual(matching({ resource: { contractHours: { gte: 40 } } }), ['a']);
+    assert.deepEqual(matching({ task: { hours: (v, t) => v > 4 && t.id !== 'a' } }), ['b']);
+    assert.deepEqual(matching({ predicate: (t, r) => r.id === 'r2' && t.hours < 10 }), ['c']);
+  });
+
+  test('matchRow counts resources found by name or resource field, not by task-only conditions', () => {
+    const row = (filter) => Object.values(resources).filter(compileFilter(filter).matchRow).map(r => r.id);
+    assert.deepEqual(row({ query: 'alice' }), ['r1']);
+    assert.deepEqual(row({ query: 'location:airport' }), ['r2']);
+    assert.deepEqual(row({ resource: { skill: 'hvac' } }), ['r1']);
+    assert.deepEqual(row({ task: { status: 'late' } }), []);
+  });
+});
+
+test('testFilterCondition operators', () => {
+  assert.equal(testFilterCondition('HVAC', { in: ['plumbing', 'hvac'] }), true);
+  assert.equal(testFilterCondition('North depot', { contains: 'DEPOT' }), true);
+  assert.equal(testFilterCondition('North depot', { matches: '^north' }), true);
+  assert.equal(testFilterCondition(undefined, { lt: 5 }), false);
+  assert.equal(testFilterCondition(new Date('2026-03-02T00:00:00Z'), new Date('2026-03-02T00:00:00Z')), true);
+  assert.equal(testFilterCondition('item 10', { gt: 'item 9' }), true);   // numeric-aware text comparison
+});
@@ -0,0 +1,800 @@
+// Task model helpers (normalizeTask) and text formats for tasks: iCalendar, CSV and Microsoft Project XML. Plain
+// functions, usable without a mounted chart.
+import { addDays, calendarOf, DAY_MS, makeZone, MINUTE_MS, pad2, workingTimeBetween } from './time.js';
+
+// --------- API / Data utilities ----------
+export const DEFAULT_PALETTE = [
+  '#3B82F6','#10B981','#F59E0B','#EF4444','#8B5CF6','#06B6D4','#84CC16','#F97316','#E11D48','#14B8A6'
+];
+
+const DEP_TYPES = ['FS', 'SS', 'FF', 'SF'];
+
+export function normalizeTask(t, palette){
+  const start = (t.start instanceof Date) ? t.start : new Date(t.start);
+  const end   = (t.end   instanceof Date) ? t.end   : new Date(t.end);
+  const color = t.color || colorFor(resourceHash(t.resourceId), palette);
+  const dependencies = (t.dependencies || []).map(normalizeDependency).filter(Boolean);
+  return { ...t, start, end, color, dependencies };
+}
+
+// A bare id means finish-to-start without lag
+export function normalizeDependency(d){
+  if (d == null) return null;
+  if (typeof d !== 'object') return { predecessorId: d, type: 'FS', lag: 0 };
+  if (d.predecessorId == null) return null;
+  const type = String(d.type || 'FS').toUpperCase();
+  return { ...d, type: DEP_TYPES.includes(type) ? type : 'FS', lag: Number(d.lag) || 0 };
+}
+
+// The chart data as text ('ics' | 'csv' | 'msproject', options as the writers below) or, without a format, as a
+// plain { tasks, resources } copy with normalized tasks.
+export function exportTaskData(format, tasks, resources, { palette = DEFAULT_PALETTE, ...options } = {}){
+  if (format == null) return { tasks: tasks.map(t => normalizeTask(t, palette)), resources: resources.map(r => ({ ...r })) };
+  if (format === 'ics') return tasksToICS(tasks, resources, options);
+  if (format === 'csv') return tasksToCSV(tasks, resources, options);
+  if (format === 'msproject') return ganttToMSProject(tasks, resources, options);
+  throw new Error(`Unknown data format "${format}" (ics, csv or msproject)`);
+}
+
+export function resourceHash(id){ let h=0; for (let i=0;i<id.length;i++){ h=(h*31 + id.charCodeAt(i))|0; } return Math.abs(h); }
+export function colorFor(h, palette){ return palette[h % palette.length]; }
+
+// ---------- Data interchange: iCalendar (.ics) and CSV ----------
+// Text ⇄ task model, usable without a mounted chart. Imports return { tasks, errors }: events/rows that
+// cannot be mapped (bad dates, unknown resources, unsupported rules) are skipped and explained in `errors`
+// ({ line, message }); `tasks` are plain task objects for normalizeTask. Times without an offset are read in
+// `timeZone` (IANA name, default: the browser's).
+const ICS_PRODID = '-//robust-gantt//EN';
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // Date#getUTCDay order
+const MAX_RECURRENCES = 1000;  // occurrences per event when neither a range, COUNT nor UNTIL bounds the rule
+const MAX_RRULE_PERIODS = 50000; // periods scanned per rule (rules that never match stop here)
+const CSV_COLUMNS = { id: 'ID', title: 'Title', resource: 'Resource', start: 'Start', end: 'End', dependencies: 'Predecessors' };
+
+// Resource by id, else by name or email (case-insensitive)
+function resourceMatcher(resources){
+  const key = (k) => String(k).trim().toLowerCase();
+  const byId = new Map(), byName = new Map();
+  for (const r of resources || []){
+    byId.set(key(r.id), r);
+    for (const k of [r.name, r.email]) if (k != null && !byName.has(key(k))) byName.set(key(k), r);
+  }
+  return (k) => k == null || k === '' ? null : byId.get(key(k)) || byName.get(key(k)) || null;
+}
+
+function civilDaysInMonth(y, m){ return new Date(Date.UTC(y, m + 1, 0)).getUTCDate(); }
+function civilWeekday(y, m, d){ return new Date(Date.UTC(y, m, d)).getUTCDay(); }
+function civilAdd(y, m, d){ const t = new Date(Date.UTC(y, m, d)); return [t.getUTCFullYear(), t.getUTCMonth(), t.getUTCDate()]; }
+
+function icsEscape(s){ return String(s).replace(/[\\;,]/g, ch => '\\' + ch).replace(/\r?\n/g, '\\n'); }
+function icsUnescape(s){ return String(s).replace(/\\([\\;,nN])/g, (_, ch) => ch === 'n' || ch === 'N' ? '\n' : ch); }
+function icsParam(s){ s = String(s).replace(/"/g, ''); return /[:;,]/.test(s) ? `"${s}"` : s; }
+function icsUtc(d){ return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); }
+
+// Content lines longer than 75 octets continue on the next line after a space (RFC 5545 §3.1)
+function icsFold(line){
+  const out = [];
+  let cur = '', octets = 0;
+  for (const ch of line){
+    const cp = ch.codePointAt(0);
+    const n = cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+    if (octets + n > 75){ out.push(cur); cur = ' '; octets = 1; }
+    cur += ch; octets += n;
+  }
+  out.push(cur);
+  return out.join('\r\n');
+}
+
+// NAME;P1=V1;P2="V:2":value — the first ':' outside quotes ends the parameters
+function icsProperty(text){
+  let i = 0;
+  for (let q = false; i < text.length; i++){
+    if (text[i] === '"') q = !q;
+    else if (text[i] === ':' && !q) break;
+  }
+  const [name = '', ...ps] = text.slice(0, i).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  for (const p of ps){
+    const k = p.indexOf('=');
+    if (k > 0) params[p.slice(0, k).toUpperCase()] = p.slice(k + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: text.slice(i + 1) };
+}
+
+// VEVENTs as { line, props: Map(NAME → [property]) }; nested components (VALARM) are skipped
+function icsEvents(text){
+  const lines = [];
+  String(text).split(/\r\n|\n|\r/).forEach((l, i) => {
+    if (/^[ \t]/.test(l) && lines.length) lines[lines.length - 1].text += l.slice(1);
+    else if (l.trim()) lines.push({ text: l, line: i + 1 });
+  });
+  const events = [];
+  let ev = null, nested = 0;
+  for (const { text: t, line } of lines){
+    const p = icsProperty(t);
+    if (p.name === 'BEGIN'){
+      if (ev) nested++;
+      else if (p.value.toUpperCase() === 'VEVENT') ev = { line, props: new Map() };
+    } else if (p.name === 'END'){
+      if (nested) nested--;
+      else if (ev && p.value.toUpperCase() === 'VEVENT'){ events.push(ev); ev = null; }
+    } else if (ev && !nested){
+      if (!ev.props.has(p.name)) ev.props.set(p.name, []);
+      ev.props.get(p.name).push({ ...p, line });
+    }
+  }
+  return events;
+}
+
+// DATE / DATE-TIME value → wall-clock fields + the zone they are in (UTC for 'Z', TZID, else `zone`).
+// Throws on malformed values and unknown TZIDs.
+function icsDateTime(prop, zone){
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i.exec(prop.value.trim());
+  if (!m) throw new Error(`invalid ${prop.name} "${prop.value}"`);
+  const [y, mo, d] = [+m[1], +m[2] - 1, +m[3]];
+  if (mo > 11 || d < 1 || d > civilDaysInMonth(y, mo) || (m[4] && (+m[4] > 23 || +m[5] > 59 || +m[6] > 60))){
+    throw new Error(`invalid ${prop.name} "${prop.value}"`);
+  }
+  let z = zone;
+  if (m[7]) z = makeZone('UTC');
+  else if (m[4] && prop.params.TZID){
+    try { z = makeZone(prop.params.TZID); } catch { throw new Error(`unknown TZID "${prop.params.TZID}" in ${prop.name}`); }
+  }
+  const wall = { y, mo, d, h: +(m[4] || 0), mi: +(m[5] || 0), s: Math.min(59, +(m[6] || 0)) };
+  return { ...wall, allDay: !m[4], zone: z, at: () => z.make(wall.y, wall.mo, wall.d, wall.h, wall.mi, wall.s) };
+}
+
+// 'P1W', 'PT1H30M', 'P1DT12H' → { days (calendar days), ms (exact) }
+function icsDuration(s){
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(s).trim());
+  if (!m || m[1] === '-') return null;
+  return { days: 7 * +(m[2] || 0) + +(m[3] || 0), ms: ((+(m[4] || 0) * 60 + +(m[5] || 0)) * 60 + +(m[6] || 0)) * 1000 };
+}
+
+// Dates (civil y, m, d) of an RRULE from `start` on, in order; visit(y, m, d) returns false to stop.
+// Supported: FREQ=DAILY…YEARLY, INTERVAL, COUNT, UNTIL, BYDAY (with ordinals in monthly/yearly rules), BYMONTHDAY,
+// BYMONTH, WKST=MO. Throws on anything else so the event is reported rather than expanded wrongly.
+function expandRRule(rule, start, visit){
+  const unsupported = Object.keys(rule).filter(k => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'].includes(k));
+  if (unsupported.length) throw new Error(`unsupported RRULE part ${unsupported.join(', ')}`);
+  if (rule.WKST && rule.WKST.toUpperCase() !== 'MO') throw new Error(`unsupported RRULE WKST=${rule.WKST}`);
+  const freq = String(rule.FREQ || '').toUpperCase();
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(freq)) throw new Error(`unsupported RRULE FREQ "${rule.FREQ ?? ''}"`);
+  const ints = (s, name) => String(s).split(',').map(v => {
+    if (!/^[+-]?\d{1,2}$/.test(v.trim())) throw new Error(`invalid RRULE ${name} "${s}"`);
+    return parseInt(v, 10);
+  });
+  const interval = Math.max(1, parseInt(rule.INTERVAL || '1', 10) || 1);
+  const byMonth = rule.BYMONTH ? ints(rule.BYMONTH, 'BYMONTH').map(v => v - 1) : null;
+  const byMonthDay = rule.BYMONTHDAY ? ints(rule.BYMONTHDAY, 'BYMONTHDAY') : null;
+  const byDay = rule.BYDAY ? rule.BYDAY.split(',').map(s => {
+    const m = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(s.trim());
+    if (!m) throw new Error(`invalid RRULE BYDAY "${rule.BYDAY}"`);
+    return { n: m[1] ? parseInt(m[1], 10) : 0, wd: ICS_WEEKDAYS.indexOf(m[2].toUpperCase()) };
+  }) : null;
+  if (freq === 'YEARLY' && byDay && !byMonth) throw new Error('RRULE BYDAY in a YEARLY rule needs BYMONTH');
+
+  // days of one month selected by BYMONTHDAY / BYDAY (default: the start's day of month)
+  const monthDays = (y, m) => {
+    const n = civilDaysInMonth(y, m);
+    let days = [];
+    if (byMonthDay) days = byMonthDay.map(v => v < 0 ? n + 1 + v : v);
+    else if (byDay){
+      for (const { n: k, wd } of byDay){
+        const all = [];
+        for (let d = 1; d <= n; d++) if (civilWeekday(y, m, d) === wd) all.push(d);
+        if (!k) days.push(...all); else days.push(k > 0 ? all[k - 1] : all[all.length + k]);
+      }
+    } else days = [start.d];
+    if (byMonthDay && byDay) days = days.filter(d => byDay.some(b => b.wd === civilWeekday(y, m, d)));
+    return [...new Set(days)].filter(d => d >= 1 && d <= n).sort((a, b) => a - b).map(d => [y, m, d]);
+  };
+
+  const first = Date.UTC(start.y, start.m, start.d);
+  const weekStart = civilAdd(start.y, start.m, start.d - (civilWeekday(start.y, start.m, start.d) + 6) % 7); // Monday
+  for (let i = 0; i < MAX_RRULE_PERIODS; i++){
+    let dates = [];
+    if (freq === 'DAILY'){
+      const [y, m, d] = civilAdd(start.y, start.m, start.d + i * interval);
+      if ((!byDay || byDay.some(b => b.wd === civilWeekday(y, m, d))) && (!byMonthDay || monthDays(y, m).some(x => x[2] === d))) dates = [[y, m, d]];
+    } else if (freq === 'WEEKLY'){
+      const wds = byDay ? byDay.map(b => b.wd) : [civilWeekday(start.y, start.m, start.d)];
+      dates = [...new Set(wds)].map(wd => civilAdd(weekStart[0], weekStart[1], weekStart[2] + 7 * i * interval + (wd + 6) % 7))
+                               .sort((a, b) => Date.UTC(...a) - Date.UTC(...b));
+    } else if (freq === 'MONTHLY'){
+      const [y, m] = civilAdd(start.y, start.m + i * interval, 1);
+      dates = monthDays(y, m);
+    } else {
+      const y = start.y + i * interval;
+      for (const m of byMonth || [start.m]) dates.push(...monthDays(y, m));
+    }
+    for (const [y, m, d] of dates){
+      if (byMonth && !byMonth.includes(m)) continue;
+      if (Date.UTC(y, m, d) < first) continue;
+      if (visit(y, m, d) === false) return;
+    }
+  }
+}
+
+// Tasks → iCalendar text: one VEVENT per task in UTC. The resource goes to ATTENDEE (CUTYPE=RESOURCE; mailto: when
+// it has an `email`) and CATEGORIES; X-GANTT-* properties keep resource ids and dependencies for a lossless round trip.
+export function tasksToICS(tasks, resources, { calendarName } = {}){
+  const byId = new Map((resources || []).map(r => [String(r.id), r]));
+  const stamp = icsUtc(new Date());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${ICS_PRODID}`, 'CALSCALE:GREGORIAN'];
+  if (calendarName) lines.push(`X-WR-CALNAME:${icsEscape(calendarName)}`);
+  for (const t of tasks){
+    const r = byId.get(String(t.resourceId));
+    const name = r?.name ?? String(t.resourceId);
+    const address = r?.email ? `mailto:${r.email}` : `urn:x-gantt-resource:${encodeURIComponent(t.resourceId)}`;
+    lines.push('BEGIN:VEVENT', `UID:${icsEscape(t.id)}`, `DTSTAMP:${stamp}`, `DTSTART:${icsUtc(t.start)}`, `DTEND:${icsUtc(t.end)}`,
+               `SUMMARY:${icsEscape(t.title ?? '')}`, `ATTENDEE;CUTYPE=RESOURCE;CN=${icsParam(name)}:${address}`,
+               `CATEGORIES:${icsEscape(name)}`, `X-GANTT-RESOURCE-ID:${icsEscape(t.resourceId)}`);
+    if (t.color) lines.push(`X-GANTT-COLOR:${icsEscape(t.color)}`);
+    for (const d of (t.dependencies || []).map(normalizeDependency).filter(Boolean)){
+      lines.push(`X-GANTT-DEPENDENCY;TYPE=${d.type};LAG=${d.lag}:${icsEscape(d.predecessorId)}`);
+    }
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// iCalendar text → { tasks, errors }. The resource comes from X-GANTT-RESOURCE-ID, else the first ATTENDEE (CN,
+// address) or CATEGORIES entry naming a known resource, else `defaultResourceId`. Recurring events (RRULE/RDATE,
+// minus EXDATE) are expanded to the occurrences overlapping `range` ({ start, end }); an occurrence's id is
+// `${UID}/${its UTC start}` and a RECURRENCE-ID event replaces the occurrence it names. Events without a UID get
+// newId(line) (default `ics-${line}`).
+export function icsToTasks(text, { resources, range, timeZone, defaultResourceId, newId = (line) => `ics-${line}` } = {}){
+  const zone = makeZone(timeZone);
+  const match = resourceMatcher(resources);
+  const r0 = range ? +new Date(range.start) : -Infinity, r1 = range ? +new Date(range.end) : Infinity;
+  const tasks = [], errors = [];
+  const events = icsEvents(text);
+  const overridden = new Set(events.filter(ev => ev.props.has('RECURRENCE-ID') && ev.props.has('UID'))
+    .map(ev => { try { return `${icsUnescape(ev.props.get('UID')[0].value)}/${icsUtc(icsDateTime(ev.props.get('RECURRENCE-ID')[0], zone).at())}`; } catch { return null; } }));
+
+  for (const ev of events){
+    const one = (name) => ev.props.get(name)?.[0];
+    const title = icsUnescape(one('SUMMARY')?.value ?? '');
+    const fail = (message) => errors.push({ line: ev.line, message: `Line ${ev.line}: event "${title || '(untitled)'}": ${message}` });
+    try {
+      if (!one('DTSTART')) throw new Error('missing DTSTART');
+      const start = icsDateTime(one('DTSTART'), zone);
+      const uid = one('UID') ? icsUnescape(one('UID').value) : String(newId(ev.line));
+
+      // Duration: DTEND, else DURATION, else one day for dates (RFC 5545) and nothing for date-times
+      let dur = { days: start.allDay ? 1 : 0, ms: 0 };
+      if (one('DTEND')){
+        const end = icsDateTime(one('DTEND'), zone);
+        dur = start.allDay ? { days: Math.round((Date.UTC(end.y, end.mo, end.d) - Date.UTC(start.y, start.mo, start.d)) / DAY_MS), ms: 0 }
+                           : { days: 0, ms: end.at() - start.at() };
+      } else if (one('DURATION')){
+        dur = icsDuration(one('DURATION').value);
+        if (!dur) throw new Error(`invalid DURATION "${one('DURATION').value}"`);
+      }
+      const endOf = (s) => new Date(+addDays(s, dur.days, start.zone) + dur.ms);
+      if (endOf(start.at()) <= start.at()) throw new Error('it ends before it starts (or has no duration)');
+
+      let resource = match(one('X-GANTT-RESOURCE-ID') && icsUnescape(one('X-GANTT-RESOURCE-ID').value));
+      const named = [];
+      for (const a of ev.props.get('ATTENDEE') || []){
+        const address = a.value.replace(/^mailto:/i, '').replace(/^urn:x-gantt-resource:/i, '');
+        named.push(...[a.params.CN, decodeURIComponent(address)].filter(Boolean));
+      }
+      for (const c of ev.props.get('CATEGORIES') || []) named.push(...c.value.split(/(?<!\\),/).map(icsUnescape));
+      resource = resource || named.map(match).find(Boolean) || match(defaultResourceId);
+      if (!resource) throw new Error(named.length ? `no known resource in ATTENDEE/CATEGORIES (${named.join(', ')})` : 'no ATTENDEE or CATEGORIES naming a resource');
+
+      const base = { resourceId: resource.id, title };
+      const color = one('X-GANTT-COLOR');
+      if (color) base.color = icsUnescape(color.value);
+      const deps = (ev.props.get('X-GANTT-DEPENDENCY') || []).map(d => ({ predecessorId: icsUnescape(d.value), type: d.params.TYPE, lag: Number(d.params.LAG) || 0 }));
+      if (deps.length) base.dependencies = deps;
+
+      const rrule = one('RRULE'), rdates = ev.props.get('RDATE') || [];
+      if (one('RECURRENCE-ID') || (!rrule && !rdates.length)){
+        const s = start.at();
+        const id = one('RECURRENCE-ID') ? `${uid}/${icsUtc(icsDateTime(one('RECURRENCE-ID'), zone).at())}` : uid;
+        tasks.push({ ...base, id, start: s, end: endOf(s) });
+        continue;
+      }
+
+      const excluded = new Set();
+      for (const x of ev.props.get('EXDATE') || []){
+        for (const v of x.value.split(',')) excluded.add(+icsDateTime({ ...x, value: v }, zone).at());
+      }
+      const push = (s) => {
+        const key = `${uid}/${icsUtc(s)}`;
+        if (excluded.has(+s) || overridden.has(key) || endOf(s) <= r0 || s >= r1) return;
+        tasks.push({ ...base, id: key, start: s, end: endOf(s) });
+      };
+      const at = (y, m, d) => start.zone.make(y, m, d, start.h, start.mi, start.s);
+      if (rrule){
+        const rule = {};
+        for (const part of rrule.value.split(';')){ const [k, v = ''] = part.split('='); if (k) rule[k.toUpperCase()] = v; }
+        const count = rule.COUNT ? parseInt(rule.COUNT, 10) : Infinity;
+        const until = rule.UNTIL ? icsDateTime({ name: 'UNTIL', params: {}, value: rule.UNTIL }, start.zone) : null;
+        const untilT = until && (until.allDay ? +at(until.y, until.mo, until.d) : +until.at());
+        const cap = count === Infinity && !until && r1 === Infinity ? MAX_RECURRENCES : Infinity;
+        let n = 0;
+        expandRRule(rule, { y: start.y, m: start.mo, d: start.d }, (y, m, d) => {
+          const s = at(y, m, d);
+          if (n >= count || n >= cap || (untilT != null && +s > untilT) || s >= r1) return false;
+          n++;
+          push(s);
+        });
+      } else push(start.at());
+      for (const r of rdates){
+        for (const v of r.value.split(',')) push(icsDateTime({ ...r, value: v.split('/')[0] }, zone).at());
+      }
+    } catch (err){
+      fail(err.message);
+    }
+  }
+  return { tasks, errors };
+}
+
+// 'YYYY-MM-DD HH:mm[:ss]' in `zone`
+function csvDate(d, zone){
+  const p = zone.get(d);
+  return `${p.year}-${pad2(p.month+1)}-${pad2(p.date)} ${pad2(p.hours)}:${pad2(p.minutes)}${p.seconds ? `:${pad2(p.seconds)}` : ''}`;
+}
+
+// 'YYYY-MM-DD[ HH:mm[:ss]]', ISO 8601 with 'T' and an optional Z / ±hh:mm, or 'DD.MM.YYYY[ HH:mm]'. Without an
+// offset the time is read in `zone`; a date-only end means the end of that day (inclusive, as spreadsheets
+// show it). Null when malformed.
+function parseCsvDate(s, zone, isEnd){
+  let m = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i.exec(s);
+  let y, mo, d, h, mi, sec, off;
+  if (m) [, y, mo, d, h, mi, sec, off] = m;
+  else if ((m = /^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(s))) [, d, mo, y, h, mi, sec] = m;
+  else return null;
+  [y, mo, d] = [+y, +mo - 1, +d];
+  if (mo < 0 || mo > 11 || d < 1 || d > civilDaysInMonth(y, mo)) return null;
+  if (h === undefined) return zone.make(y, mo, d + (isEnd ? 1 : 0));
+  if (+h > 23 || +mi > 59 || +(sec || 0) > 59) return null;
+  if (!off) return zone.make(y, mo, d, +h, +mi, +(sec || 0));
+  const o = /^([+-])(\d{2}):?(\d{2})$/.exec(off);
+  const offsetMs = o ? (o[1] === '-' ? -1 : 1) * (+o[2] * 60 + +o[3]) * MINUTE_MS : 0;
+  return new Date(Date.UTC(y, mo, d, +h, +mi, +(sec || 0)) - offsetMs);
+}
+
+// RFC 4180 records (quoted fields may hold delimiters, quotes and line breaks) with the line each starts on.
+// delimiter: ',' | ';' | '\t'; default: whichever occurs most in the header line.
+function csvRecords(text, delimiter){
+  const s = String(text).replace(/^\uFEFF/, '');
+  if (!delimiter){
+    const head = s.split(/\r\n|\n|\r/, 1)[0];
+    delimiter = [',', ';', '\t'].reduce((a, b) => head.split(b).length > head.split(a).length ? b : a);
+  }
+  const records = [];
+  let row = [], field = '', quoted = false, line = 1, rowLine = 1;
+  for (let i = 0; i < s.length; i++){
+    const ch = s[i];
+    if (quoted){
+      if (ch === '"' && s[i+1] === '"'){ field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else { if (ch === '\n') line++; field += ch; }
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === delimiter){ row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r'){
+      if (ch === '\r' && s[i+1] === '\n') i++;
+      row.push(field);
+      records.push({ cells: row, line: rowLine });
+      row = []; field = '';
+      rowLine = ++line;
+    } else field += ch;
+  }
+  if (field !== '' || row.length){ row.push(field); records.push({ cells: row, line: rowLine }); }
+  return records.filter(r => r.cells.some(c => c.trim() !== ''));
+}
+
+// Dependencies in a CSV cell: 'pred' (finish-to-start) or 'pred:TYPE[:lag minutes]', separated by ';'
+function formatCsvDependencies(deps){
+  return (deps || []).map(normalizeDependency).filter(Boolean)
+    .map(d => d.type === 'FS' && !d.lag ? String(d.predecessorId) : `${d.predecessorId}:${d.type}${d.lag ? `:${d.lag / MINUTE_MS}` : ''}`).join(';');
+}
+function parseCsvDependencies(s){
+  return String(s).split(';').map(x => x.trim()).filter(Boolean).map(x => {
+    const [predecessorId, type, lag] = x.split(':');
+    return { predecessorId, type: (type || 'FS').toUpperCase(), lag: (Number(lag) || 0) * MINUTE_MS };
+  });
+}
+
+// Tasks → CSV. columns maps task fields to header names (defaults: CSV_COLUMNS; null drops one, extra fields
+// are written as they are); `resource` is written as the resource's name, dates as 'YYYY-MM-DD HH:mm' in timeZone.
+export function tasksToCSV(tasks, resources, { columns, delimiter = ',', timeZone } = {}){
+  const zone = makeZone(timeZone);
+  const cols = Object.entries({ ...CSV_COLUMNS, ...columns }).filter(([, name]) => name);
+  const names = new Map((resources || []).map(r => [String(r.id), r.name ?? r.id]));
+  const cell = (v) => {
+    const s = String(v ?? '');
+    return s.includes('"') || s.includes(delimiter) || /[\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const value = (t, field) => {
+    if (field === 'resource') return names.get(String(t.resourceId)) ?? t.resourceId;
+    if (field === 'start' || field === 'end') return csvDate(t[field], zone);
+    if (field === 'dependencies') return formatCsvDependencies(t.dependencies);
+    return t[field];
+  };
+  return [cols.map(([, name]) => cell(name)), ...tasks.map(t => cols.map(([f]) => cell(value(t, f))))]
+    .map(r => r.join(delimiter)).join('\r\n') + '\r\n';
+}
+
+// CSV → { tasks, errors } with the same column mapping (headers match case-insensitively; Start, End and Resource
+// are required). The resource cell may hold a resource id, name or email. Rows with invalid dates, an end not
+// after the start, unknown resources or a repeated ID are rejected with their line number. Rows without an ID get
+// newId(line) (default `csv-${line}`).
+export function csvToTasks(text, { resources, columns, delimiter, timeZone, newId = (line) => `csv-${line}` } = {}){
+  const zone = makeZone(timeZone);
+  const match = resourceMatcher(resources);
+  const cols = { ...CSV_COLUMNS, ...columns };
+  const records = csvRecords(text, delimiter);
+  if (!records.length) return { tasks: [], errors: [{ line: 1, message: 'Line 1: the CSV is empty' }] };
+  const [head, ...rows] = records;
+  const header = head.cells.map(h => h.trim().toLowerCase());
+  const index = {};
+  for (const [field, name] of Object.entries(cols)) if (name) index[field] = header.indexOf(String(name).trim().toLowerCase());
+  const missing = ['start', 'end', 'resource'].filter(f => !(index[f] >= 0)).map(f => `"${cols[f] ?? f}"`);
+  if (missing.length){
+    return { tasks: [], errors: [{ line: head.line, message: `Line ${head.line}: missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')} (found: ${head.cells.join(', ')})` }] };
+  }
+
+  const tasks = [], errors = [], seen = new Set();
+  for (const r of rows){
+    const get = (f) => index[f] >= 0 ? (r.cells[index[f]] ?? '').trim() : '';
+    const fail = (message) => errors.push({ line: r.line, message: `Line ${r.line}: ${message}` });
+    const resource = match(get('resource'));
+    if (!resource){ fail(get('resource') ? `unknown resource "${get('resource')}"` : 'no resource'); continue; }
+    const start = parseCsvDate(get('start'), zone, false);
+    if (!start){ fail(`invalid start date "${get('start')}"`); continue; }
+    const end = parseCsvDate(get('end'), zone, true);
+    if (!end){ fail(`invalid end date "${get('end')}"`); continue; }
+    if (end <= start){ fail(`end "${get('end')}" is not after start "${get('start')}"`); continue; }
+    const id = get('id') || String(newId(r.line));
+    if (seen.has(id)){ fail(`duplicate ID "${id}"`); continue; }
+    seen.add(id);
+    const task = { id, resourceId: resource.id, start, end };
+    if (index.title >= 0) task.title = get('title');
+    for (const field of Object.keys(index)){
+      if (!['id', 'title', 'resource', 'start', 'end', 'dependencies'].includes(field) && index[field] >= 0) task[field] = get(field);
+    }
+    if (get('dependencies')) task.dependencies = parseCsvDependencies(get('dependencies'));
+    tasks.push(task);
+  }
+  return { tasks, errors };
+}
+
+// ---------- Data interchange: Microsoft Project XML (MSPDI) ----------
+// msProjectToGantt(xml) → { resources, tasks, calendar, project, errors } for the chart's props: one bar per
+// assignment (the first keeps the task UID as id, further ones are `${UID}@${resourceUID}`, unassigned work lands
+// on an "Unassigned" row), predecessor links as dependencies, the project calendar as `calendar`, resource
+// calendars as `resource.calendar` and baselines as `task.baselines: [{ number, start, end }]`. Summary tasks
+// are not bars; `project` keeps the outline so ganttToMSProject can write it back with the same UIDs.
+// Dates in MSPDI carry no offset and are read/written in `timeZone`.
+const MSP_NS = 'http://schemas.microsoft.com/project';
+const MSP_LINK_TYPES = ['FF', 'FS', 'SF', 'SS']; // PredecessorLink Type 0…3
+const MSP_UNASSIGNED_ID = 'msp-unassigned';
+const MSP_LAG_UNIT_MS = 6000;                    // LinkLag is in tenths of a minute
+const MSP_CONSTRAINT_SNET = 4;                   // Start No Earlier Than
+
+function xmlKids(el, name){ return el ? [...el.children].filter(c => c.localName === name) : []; }
+function xmlKid(el, name){ return xmlKids(el, name)[0] || null; }
+function xmlText(el, name){ const c = xmlKid(el, name); return c ? c.textContent.trim() : ''; }
+
+// '2026-03-10T08:00:00' ⇄ Date in `zone`
+function mspDate(s, zone){
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?/.exec(s || '');
+  return m ? zone.make(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0)) : null;
+}
+function mspDateString(d, zone){
+  const p = zone.get(d);
+  return `${p.year}-${pad2(p.month+1)}-${pad2(p.date)}T${pad2(p.hours)}:${pad2(p.minutes)}:${pad2(p.seconds)}`;
+}
+// '08:30:00' ⇄ 8.5 (a ToTime of midnight is the end of the day)
+function mspHours(s, isEnd){ const [h, m] = s.split(':').map(Number); const v = (h || 0) + (m || 0) / 60; return isEnd && !v ? 24 : v; }
+function mspTime(h){ const min = Math.round(h * 60) % (24 * 60); return `${pad2(Math.floor(min / 60))}:${pad2(min % 60)}:00`; }
+function mspDuration(ms){ const min = Math.round(ms / MINUTE_MS); return `PT${Math.floor(min / 60)}H${min % 60}M0S`; }
+
+// Working span of a WeekDay / Exception: first FromTime to last ToTime (breaks are dropped), null = day off
+function mspSpan(el){
+  if (xmlText(el, 'DayWorking') !== '1') return null;
+  const times = xmlKids(xmlKid(el, 'WorkingTimes'), 'WorkingTime')
+    .map(w => [mspHours(xmlText(w, 'FromTime')), mspHours(xmlText(w, 'ToTime'), true)]).filter(([a, b]) => b > a);
+  return times.length ? [Math.min(...times.map(t => t[0])), Math.max(...times.map(t => t[1]))] : [8, 17];
+}
+
+// Per-weekday spans (0 = Sunday) → workDays / dayStart / dayEnd, with `hours` for days off the common span
+function mspWeek(spans){
+  const workDays = [0, 1, 2, 3, 4, 5, 6].filter(d => spans[d]);
+  const counts = new Map();
+  for (const d of workDays){ const k = spans[d].join('-'); counts.set(k, (counts.get(k) || 0) + 1); }
+  const common = [...counts].sort((a, b) => b[1] - a[1])[0]?.[0] || '8-17';
+  const [dayStart, dayEnd] = common.split('-').map(Number);
+  const hours = {};
+  for (const d of workDays) if (spans[d].join('-') !== common) hours[d] = spans[d];
+  return { workDays, dayStart, dayEnd, ...(Object.keys(hours).length ? { hours } : {}) };
+}
+
+export function msProjectToGantt(xml, { timeZone } = {}){
+  const zone = makeZone(timeZone);
+  const doc = new DOMParser().parseFromString(String(xml), 'application/xml');
+  const root = doc.documentElement;
+  if (doc.getElementsByTagName('parsererror').length || root?.localName !== 'Project'){
+    throw new Error('Not a Microsoft Project XML file (expected a <Project> root element)');
+  }
+  const errors = [];
+  const report = (message) => { if (!errors.some(e => e.message === message)) errors.push({ message }); };
+
+  // Calendars: weekdays are resolved through BaseCalendarUID; exceptions are collected up to (not including)
+  // the project calendar, whose own ones the chart calendar already carries
+  const calendarEls = new Map(xmlKids(xmlKid(root, 'Calendars'), 'Calendar').map(c => [xmlText(c, 'UID'), c]));
+  const projectCalendarUID = xmlText(root, 'CalendarUID') || '1';
+  const readCalendar = (uid, stopAt, seen = new Set()) => {
+    const el = calendarEls.get(uid);
+    if (!el || seen.has(uid)) return null;
+    seen.add(uid);
+    const name = xmlText(el, 'Name') || `Calendar ${uid}`;
+    const base = xmlText(el, 'BaseCalendarUID');
+    const inherited = base && base !== '-1' ? readCalendar(base, stopAt, seen) : null;
+    const spans = inherited ? [...inherited.spans] : [null, [8, 17], [8, 17], [8, 17], [8, 17], [8, 17], null];
+    const exceptions = inherited && base !== stopAt ? [...inherited.exceptions] : [];
+    const addException = (el, from, to) => {
+      const span = mspSpan(el);
+      exceptions.push({ from: from.slice(0, 10), to: (to || from).slice(0, 10), ...(xmlText(el, 'Name') ? { name: xmlText(el, 'Name') } : {}),
+                        ...(span ? { dayStart: span[0], dayEnd: span[1] } : {}) });
+    };
+    for (const wd of xmlKids(xmlKid(el, 'WeekDays'), 'WeekDay')){
+      const type = Number(xmlText(wd, 'DayType'));
+      if (type >= 1 && type <= 7) spans[type - 1] = mspSpan(wd);
+      else if (type === 0){ const tp = xmlKid(wd, 'TimePeriod'); if (tp) addException(wd, xmlText(tp, 'FromDate'), xmlText(tp, 'ToDate')); }
+    }
+    for (const ex of xmlKids(xmlKid(el, 'Exceptions'), 'Exception')){
+      const tp = xmlKid(ex, 'TimePeriod');
+      const type = xmlText(ex, 'Type') || '1';
+      if (!tp) continue;
+      if (type !== '1' && Number(xmlText(ex, 'Occurrences') || 1) > 1){
+        report(`Calendar "${name}": recurring exception "${xmlText(ex, 'Name')}" (type ${type}) is not supported and was skipped`);
+        continue;
+      }
+      addException(ex, xmlText(tp, 'FromDate'), xmlText(tp, 'ToDate'));
+    }
+    return { name, spans, exceptions };
+  };
+  const toCalendar = (c) => c && { name: c.name, ...mspWeek(c.spans), ...(c.exceptions.length ? { exceptions: c.exceptions } : {}) };
+  const calendar = toCalendar(readCalendar(projectCalendarUID, null));
+
+  // Resources: work resources become rows (material and cost resources carry no schedule)
+  const resources = [], workResources = new Set();
+  for (const r of xmlKids(xmlKid(root, 'Resources'), 'Resource')){
+    const uid = xmlText(r, 'UID'), name = xmlText(r, 'Name');
+    if (!uid || (uid === '0' && !name) || xmlText(r, 'IsNull') === '1') continue;
+    if (['0', '2'].includes(xmlText(r, 'Type'))) continue;
+    const res = { id: uid, name: name || `Resource ${uid}`, capacity: Math.max(1, Math.round(Number(xmlText(r, 'MaxUnits')) || 1)) };
+    if (xmlText(r, 'EmailAddress')) res.email = xmlText(r, 'EmailAddress');
+    const calendarUID = xmlText(r, 'CalendarUID');
+    if (calendarUID && calendarUID !== '-1' && calendarUID !== projectCalendarUID){
+      const own = toCalendar(readCalendar(calendarUID, projectCalendarUID));
+      if (own) res.calendar = own;
+    }
+    res.msProject = { id: xmlText(r, 'ID') || null, calendarUID: calendarUID || null };
+    resources.push(res);
+    workResources.add(uid);
+  }
+
+  const assignments = new Map(); // task UID → [{ uid, resourceUID }]
+  for (const a of xmlKids(xmlKid(root, 'Assignments'), 'Assignment')){
+    const taskUID = xmlText(a, 'TaskUID'), resourceUID = xmlText(a, 'ResourceUID');
+    if (!workResources.has(resourceUID)) continue;
+    if (!assignments.has(taskUID)) assignments.set(taskUID, []);
+    assignments.get(taskUID).push({ uid: xmlText(a, 'UID'), resourceUID });
+  }
+
+  // Tasks: UID 0 is the project summary, IsNull rows are blank lines
+  const taskEls = xmlKids(xmlKid(root, 'Tasks'), 'Task').filter(t => xmlText(t, 'UID') !== '0' && xmlText(t, 'IsNull') !== '1');
+  const summaries = new Set(taskEls.filter(t => xmlText(t, 'Summary') === '1').map(t => xmlText(t, 'UID')));
+  const outline = [], tasks = [];
+  for (const t of taskEls){
+    const uid = xmlText(t, 'UID'), name = xmlText(t, 'Name');
+    const summary = summaries.has(uid);
+    outline.push({ uid, id: xmlText(t, 'ID') || null, name, outlineLevel: Number(xmlText(t, 'OutlineLevel')) || 1, summary });
+    if (summary) continue;
+    const start = mspDate(xmlText(t, 'Start'), zone), end = mspDate(xmlText(t, 'Finish'), zone);
+    const label = `Task ${uid} "${name}"`;
+    if (!start || !end || end < start){
+      report(`${label}: invalid Start/Finish "${xmlText(t, 'Start')}" – "${xmlText(t, 'Finish')}", skipped`);
+      continue;
+    }
+    const dependencies = [];
+    for (const l of xmlKids(t, 'PredecessorLink')){
+      const pred = xmlText(l, 'PredecessorUID');
+      if (summaries.has(pred)){ report(`${label}: link to summary task ${pred} is not supported and was dropped`); continue; }
+      const type = MSP_LINK_TYPES[Number(xmlText(l, 'Type') || 1)] || 'FS';
+      const lagFormat = xmlText(l, 'LagFormat');
+      const percent = lagFormat === '19' || lagFormat === '20';
+      if (percent) report(`${label}: percentage lag on the link to task ${pred} was dropped`);
+      const lag = percent ? 0 : (Number(xmlText(l, 'LinkLag')) || 0) * MSP_LAG_UNIT_MS;
+      dependencies.push({ predecessorId: pred, type, lag, ...(lagFormat ? { lagFormat: Number(lagFormat) } : {}) });
+    }
+    const baselines = xmlKids(t, 'Baseline').map(b => ({ number: Number(xmlText(b, 'Number')) || 0, start: mspDate(xmlText(b, 'Start'), zone),
+                                                          end: mspDate(xmlText(b, 'Finish'), zone) })).filter(b => b.start && b.end);
+    const msProject = { manual: xmlText(t, 'Manual') === '1', constraintType: Number(xmlText(t, 'ConstraintType')) || 0,
+                        constraintDate: xmlText(t, 'ConstraintDate') || null, start: mspDateString(start, zone) };
+    (assignments.get(uid) || [null]).forEach((a, i) => {
+      tasks.push({
+        id: i ? `${uid}@${a.resourceUID}` : uid, resourceId: a ? a.resourceUID : MSP_UNASSIGNED_ID, title: name, start, end,
+        dependencies: i ? [] : dependencies,
+        ...(xmlText(t, 'Milestone') === '1' ? { milestone: true } : {}),
+        ...(baselines.length ? { baselines } : {}),
+        msProject: { ...msProject, taskUID: uid, taskID: xmlText(t, 'ID') || null, assignmentUID: a?.uid ?? null },
+      });
+    });
+  }
+  if (tasks.some(t => t.resourceId === MSP_UNASSIGNED_ID)) resources.push({ id: MSP_UNASSIGNED_ID, name: 'Unassigned' });
+
+  const project = { name: xmlText(root, 'Name') || xmlText(root, 'Title'), calendarUID: projectCalendarUID, tasks: outline };
+  return { resources, tasks, calendar, project, errors };
+}
+
+// Ids that are positive integers keep them as UIDs, the rest get fresh ones past the highest
+function mspUids(keys){
+  const map = new Map(), used = new Set();
+  for (const k of keys) if (/^[1-9]\d*$/.test(k) && !used.has(Number(k)) && !map.has(k)){ map.set(k, Number(k)); used.add(Number(k)); }
+  let next = Math.max(0, ...used) + 1;
+  for (const k of keys) if (!map.has(k)) map.set(k, next++);
+  return map;
+}
+
+// Row IDs: imported ones stay, missing or clashing ones (new tasks/resources) continue after the highest
+function mspIds(ids){
+  const used = new Set(), out = ids.map(id => {
+    const n = /^[1-9]\d*$/.test(String(id ?? '')) ? Number(id) : null;
+    if (n == null || used.has(n)) return null;
+    used.add(n);
+    return n;
+  });
+  let next = Math.max(0, ...used) + 1;
+  return out.map(n => n ?? next++);
+}
+
+function mspCalendarXml(uid, name, c, baseUID){
+  const el = (tag, v) => `<${tag}>${xmlEscape(v)}</${tag}>`;
+  const times = (a, b) => `<WorkingTimes><WorkingTime>${el('FromTime', mspTime(a))}${el('ToTime', mspTime(b))}</WorkingTime></WorkingTimes>`;
+  let week = '';
+  if (baseUID == null || ['workDays', 'dayStart', 'dayEnd', 'hours'].some(k => c[k] != null)){
+    const workDays = c.workDays ?? [1, 2, 3, 4, 5];
+    week = '<WeekDays>' + [0, 1, 2, 3, 4, 5, 6].map(d => {
+      const [a, b] = c.hours?.[d] || [c.dayStart ?? 8, c.dayEnd ?? 17];
+      return `<WeekDay>${el('DayType', d + 1)}${workDays.includes(d) ? `${el('DayWorking', 1)}${times(a, b)}` : el('DayWorking', 0)}</WeekDay>`;
+    }).join('') + '</WeekDays>';
+  }
+  const exceptions = [...(c.holidays || []).map(h => ({ from: h, to: h })), ...(c.exceptions || [])].map(e => {
+    const working = e.dayStart != null && e.dayEnd != null;
+    return `<Exception><EnteredByOccurrence>0</EnteredByOccurrence><TimePeriod>${el('FromDate', `${e.from}T00:00:00`)}${el('ToDate', `${e.to ?? e.from}T23:59:00`)}</TimePeriod>`
+         + `${el('Occurrences', 1)}${el('Name', e.name || (working ? 'Working exception' : 'Non-working'))}${el('Type', 1)}`
+         + `${el('DayWorking', working ? 1 : 0)}${working ? times(e.dayStart, e.dayEnd) : ''}</Exception>`;
+  });
+  return `    <Calendar>${el('UID', uid)}${el('Name', name)}${el('IsBaseCalendar', baseUID == null ? 1 : 0)}${el('BaseCalendarUID', baseUID ?? -1)}`
+       + `${week}${exceptions.length ? `<Exceptions>${exceptions.join('')}</Exceptions>` : ''}</Calendar>`;
+}
+
+// Chart tasks/resources → MSPDI text. Bars sharing msProject.taskUID are one task (its dates span them all), each
+// bar on a real resource is an assignment. With the `project` from msProjectToGantt the outline (summary tasks,
+// levels, order) and every UID and ID come back; new tasks are appended. Tasks MS Project schedules automatically keep
+// their constraint unless the chart moved them, then they get Start No Earlier Than the new start; new tasks are
+// written as manually scheduled so the dates survive MS Project's recalculation.
+export function ganttToMSProject(tasks, resources, { calendar, project, timeZone, name } = {}){
+  const zone = makeZone(timeZone);
+  const cal = calendarOf(null, calendar, zone);
+  const el = (tag, v) => v == null || v === '' ? '' : `<${tag}>${xmlEscape(v)}</${tag}>`;
+  const date = (d) => mspDateString(d, zone);
+
+  // Bars grouped into project tasks, in the chart's order
+  const groups = new Map(), groupOf = new Map();
+  for (const t of tasks){
+    const key = String(t.msProject?.taskUID ?? t.id);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(t);
+    groupOf.set(String(t.id), key);
+  }
+  const outline = [];
+  const known = new Set();
+  for (const o of project?.tasks || []){
+    if (o.summary || groups.has(String(o.uid))){ outline.push({ ...o, uid: String(o.uid) }); known.add(String(o.uid)); }
+  }
+  for (const key of groups.keys()) if (!known.has(key)) outline.push({ uid: key, outlineLevel: 1, summary: false });
+  // summary dates span the leaf tasks below them; empty summaries are dropped
+  const span = (key) => { const bars = groups.get(key); return [Math.min(...bars.map(b => +b.start)), Math.max(...bars.map(b => +b.end))]; };
+  const rows = [];
+  outline.forEach((o, i) => {
+    if (!o.summary){ rows.push({ ...o, span: span(o.uid) }); return; }
+    let s = Infinity, e = -Infinity;
+    for (let j = i + 1; j < outline.length && outline[j].outlineLevel > o.outlineLevel; j++){
+      if (!outline[j].summary){ const [a, b] = span(outline[j].uid); s = Math.min(s, a); e = Math.max(e, b); }
+    }
+    if (s <= e) rows.push({ ...o, span: [s, e] });
+  });
+
+  const taskUid = mspUids(rows.map(r => r.uid));
+  const realResources = (resources || []).filter(r => r.id !== MSP_UNASSIGNED_ID);
+  const resourceUid = mspUids(realResources.map(r => String(r.id)));
+  const projectCalendarKey = String(project?.calendarUID ?? 1);
+  const withCalendar = realResources.filter(r => r.calendar);
+  const calendarUid = mspUids([projectCalendarKey, ...withCalendar.map(r => String(r.msProject?.calendarUID ?? `resource:${r.id}`))]);
+  const projectCalendarUid = calendarUid.get(projectCalendarKey);
+
+  const taskId = mspIds(rows.map(r => r.id ?? (r.summary ? null : groups.get(r.uid)[0].msProject?.taskID)));
+  const taskXml = rows.map((r, i) => {
+    const [s, e] = r.span.map(v => new Date(v));
+    const head = `${el('UID', taskUid.get(r.uid))}${el('ID', taskId[i])}${el('Name', r.summary ? r.name : groups.get(r.uid)[0].title ?? r.name)}`
+               + `${el('OutlineLevel', r.outlineLevel)}${el('Start', date(s))}${el('Finish', date(e))}${el('Duration', mspDuration(workingTimeBetween(+s, +e, cal)))}`;
+    if (r.summary) return `    <Task>${head}${el('Milestone', 0)}${el('Summary', 1)}</Task>`;
+    const bars = groups.get(r.uid), meta = bars[0].msProject;
+    const manual = meta ? meta.manual : true;
+    let constraint = '';
+    if (!manual){
+      const moved = !meta.start || meta.start !== date(s);
+      constraint = moved ? `${el('ConstraintType', MSP_CONSTRAINT_SNET)}${el('ConstraintDate', date(s))}`
+                         : `${el('ConstraintType', meta.constraintType)}${el('ConstraintDate', meta.constraintDate)}`;
+    }
+    const links = new Map();
+    for (const b of bars){
+      for (const d of (b.dependencies || []).map(normalizeDependency).filter(Boolean)){
+        const pred = groupOf.get(String(d.predecessorId));
+        if (pred == null || pred === r.uid || !taskUid.has(pred)) continue;
+        const k = `${pred}|${d.type}`;
+        if (!links.has(k)) links.set(k, `<PredecessorLink>${el('PredecessorUID', taskUid.get(pred))}${el('Type', MSP_LINK_TYPES.indexOf(d.type))}`
+                                        + `${el('LinkLag', Math.round(d.lag / MSP_LAG_UNIT_MS))}${el('LagFormat', d.lagFormat ?? 7)}</PredecessorLink>`);
+      }
+    }
+    const baselines = (bars[0].baselines || []).map(b => `<Baseline>${el('Number', b.number ?? 0)}${el('Start', date(new Date(b.start)))}`
+      + `${el('Finish', date(new Date(b.end)))}${el('Duration', mspDuration(workingTimeBetween(+new Date(b.start), +new Date(b.end), cal)))}</Baseline>`);
+    return `    <Task>${head}${el('Milestone', bars[0].milestone || +s === +e ? 1 : 0)}${el('Summary', 0)}${constraint}${el('Manual', manual ? 1 : 0)}`
+         + `${[...links.values()].join('')}${baselines.join('')}</Task>`;
+  });
+
+  const resourceId = mspIds(realResources.map(r => r.msProject?.id));
+  const resourceXml = realResources.map((r, i) => {
+    const c = r.calendar ? calendarUid.get(String(r.msProject?.calendarUID ?? `resource:${r.id}`)) : projectCalendarUid;
+    return `    <Resource>${el('UID', resourceUid.get(String(r.id)))}${el('ID', resourceId[i])}${el('Name', r.name ?? r.id)}${el('Type', 1)}`
+         + `${el('EmailAddress', r.email)}${el('MaxUnits', (r.capacity ?? 1).toFixed(2))}${el('CalendarUID', c)}</Resource>`;
+  });
+
+  const assignmentKeys = [], assignmentBars = [];
+  const seen = new Set();
+  for (const key of groups.keys()){
+    for (const b of groups.get(key)){
+      const k = `${key}|${b.resourceId}`;
+      if (!resourceUid.has(String(b.resourceId)) || !taskUid.has(key) || seen.has(k)) continue;
+      seen.add(k);
+      assignmentKeys.push(String(b.msProject?.assignmentUID ?? `bar:${b.id}`));
+      assignmentBars.push({ key, b });
+    }
+  }
+  const assignmentUid = mspUids(assignmentKeys);
+  const assignmentXml = assignmentBars.map(({ key, b }, i) =>
+    `    <Assignment>${el('UID', assignmentUid.get(assignmentKeys[i]))}${el('TaskUID', taskUid.get(key))}${el('ResourceUID', resourceUid.get(String(b.resourceId)))}`
+    + `${el('Finish', date(b.end))}${el('Start', date(b.start))}${el('Units', 1)}</Assignment>`);
+
+  const calendarXml = [mspCalendarXml(projectCalendarUid, calendar?.name || 'Standard',
+                                      calendar || { workDays: [0, 1, 2, 3, 4, 5, 6], dayStart: 0, dayEnd: 24 }, null),
+                       ...withCalendar.map(r => mspCalendarXml(calendarUid.get(String(r.msProject?.calendarUID ?? `resource:${r.id}`)),
+                                                               r.calendar.name || r.name || String(r.id), r.calendar, projectCalendarUid))];
+  const starts = rows.map(r => r.span[0]), ends = rows.map(r => r.span[1]);
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    `<Project xmlns="${MSP_NS}">`,
+    `  ${el('SaveVersion', 14)}${el('Name', name ?? project?.name ?? 'Gantt')}${el('ScheduleFromStart', 1)}`
+      + `${rows.length ? `${el('StartDate', date(new Date(Math.min(...starts))))}${el('FinishDate', date(new Date(Math.max(...ends))))}` : ''}`
+      + `${el('CalendarUID', projectCalendarUid)}`,
+    '  <Calendars>', ...calendarXml, '  </Calendars>',
+    '  <Tasks>', ...taskXml, '  </Tasks>',
+    '  <Resources>', ...resourceXml, '  </Resources>',
+    '  <Assignments>', ...assignmentXml, '  </Assignments>',
+    '</Project>', '',
+  ].join('\n');
+}
+
+export function xmlEscape(s){
+  return String(s).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[ch]);
+}
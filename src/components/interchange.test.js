@@ -0,0 +1,226 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvToTasks, exportTaskData, ganttToMSProject, icsToTasks, msProjectToGantt, tasksToCSV, tasksToICS } from './interchange.js';
+
+const resources = [{ id: 'r1', name: 'Ann' }];
+const tasks = [
+  { id: 't1', resourceId: 'r1', title: 'Design', start: '2026-03-02T08:00:00Z', end: '2026-03-02T12:00:00Z', dependencies: [] },
+  { id: 't2', resourceId: 'r1', title: 'Build', start: new Date('2026-03-03T08:00:00Z'), end: new Date('2026-03-04T08:00:00Z'), dependencies: ['t1'] },
+];
+
+test('exportTaskData without a format returns a normalized { tasks, resources } snapshot', () => {
+  const data = exportTaskData(undefined, tasks, resources);
+  assert.deepEqual(Object.keys(data), ['tasks', 'resources']);
+  assert.equal(data.tasks.length, 2);
+  assert.ok(data.tasks[0].start instanceof Date);
+  assert.equal(data.tasks[0].start.toISOString(), '2026-03-02T08:00:00.000Z');
+  assert.match(data.tasks[0].color, /^#[0-9A-F]{6}$/i);
+  assert.deepEqual(data.tasks[1].dependencies, [{ predecessorId: 't1', type: 'FS', lag: 0 }]);
+  assert.deepEqual(data.resources, resources);
+  assert.notEqual(data.resources[0], resources[0]);
+  assert.notEqual(data.tasks[1], tasks[1]);
+});
+
+test('exportTaskData keeps the text formats and rejects unknown ones', () => {
+  const { tasks: normalized } = exportTaskData(undefined, tasks, resources);
+  assert.match(exportTaskData('ics', normalized, resources), /^BEGIN:VCALENDAR/);
+  assert.match(exportTaskData('csv', normalized, resources, { timeZone: 'UTC' }), /Design/);
+  assert.match(exportTaskData('msproject', normalized, resources, { timeZone: 'UTC' }), /<Project /);
+  assert.throws(() => exportTaskData('xlsx', tasks, resources), /Unknown data format "xlsx"/);
+});
+
+// Just enough of DOMParser for msProjectToGantt: elements with localName, children and textContent
+class XmlNode {
+  constructor(name){ this.localName = name.replace(/^.*:/, ''); this.children = []; this.parts = []; }
+  get textContent(){ return this.parts.map(p => typeof p === 'string' ? p : p.textContent).join(''); }
+  getElementsByTagName(name){ return this.children.flatMap(c => [...(c.localName === name ? [c] : []), ...c.getElementsByTagName(name)]); }
+}
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+class ShimDOMParser {
+  parseFromString(text){
+    const doc = new XmlNode('#document'), stack = [doc];
+    const body = text.replace(/<\?[\s\S]*?\?>|<!--[\s\S]*?-->/g, '');
+    for (const [, close, name, selfClose, chars] of body.matchAll(/<(\/?)([\w:.-]+)[^>]*?(\/?)>|([^<]+)/g)){
+      const top = stack[stack.length - 1];
+      if (chars != null) top.parts.push(chars.replace(/&(#x?[\da-f]+|\w+);/gi, (m, e) => e[0] === '#'
+        ? String.fromCodePoint(e[1] === 'x' ? parseInt(e.slice(2), 16) : Number(e.slice(1))) : XML_ENTITIES[e] ?? m));
+      else if (close) stack.pop();
+      else {
+        const el = new XmlNode(name);
+        top.children.push(el); top.parts.push(el);
+        if (!selfClose) stack.push(el);
+      }
+    }
+    doc.documentElement = doc.children[0] || null;
+    return doc;
+  }
+}
+
+describe('Microsoft Project XML round trip', () => {
+  before(() => { globalThis.DOMParser = ShimDOMParser; });
+  after(() => { delete globalThis.DOMParser; });
+
+  const at = (d, h, m = 0) => new Date(Date.UTC(2026, 2, d, h, m));
+  const mspResources = [{ id: '7', name: 'Ann' }, { id: '8', name: 'Ben & Co' }];
+  const mspTasks = [
+    { id: '1', resourceId: '7', title: 'Design', start: at(9, 8), end: at(9, 17) },
+    { id: '2', resourceId: '7', title: 'Build', start: at(10, 8), end: at(11, 17),
+      dependencies: [{ predecessorId: '1', type: 'FS', lag: 2 * 3600000 }] },
+    { id: '3', resourceId: '8', title: 'Review', start: at(10, 9), end: at(10, 12),
+      dependencies: [{ predecessorId: '2', type: 'SS', lag: 30 * 60000 }, { predecessorId: '1', type: 'FF', lag: 0 }] },
+  ];
+
+  test('exported tasks come back with their ids, dates and dependencies', () => {
+    const { tasks: normalized } = exportTaskData(undefined, mspTasks, mspResources);
+    const xml = ganttToMSProject(normalized, mspResources, { timeZone: 'UTC' });
+    const back = msProjectToGantt(xml, { timeZone: 'UTC' });
+    assert.deepEqual(back.errors, []);
+    assert.deepEqual(back.tasks.map(t => t.id), ['1', '2', '3']);
+    assert.deepEqual(back.tasks.map(t => t.resourceId), ['7', '7', '8']);
+    for (const t of mspTasks){
+      const b = back.tasks.find(x => x.id === t.id);
+      assert.equal(+b.start, +t.start, `${t.id} start`);
+      assert.equal(+b.end, +t.end, `${t.id} end`);
+      assert.deepEqual(b.dependencies.map(d => [d.predecessorId, d.type, d.lag]),
+                       (t.dependencies || []).map(d => [d.predecessorId, d.type, d.lag]), `${t.id} dependencies`);
+    }
+    assert.deepEqual(back.resources.map(r => r.name), ['Ann', 'Ben & Co']);
+  });
+
+  test('imported task and resource IDs survive an export, new rows are numbered after them', () => {
+    const xml = `<?xml version="1.0"?><Project xmlns="http://schemas.microsoft.com/project"><Tasks>
+      <Task><UID>4</UID><ID>12</ID><Name>A</Name><OutlineLevel>1</OutlineLevel><Start>2026-03-10T08:00:00</Start><Finish>2026-03-10T17:00:00</Finish></Task>
+      <Task><UID>9</UID><ID>30</ID><Name>B</Name><OutlineLevel>1</OutlineLevel><Start>2026-03-11T08:00:00</Start><Finish>2026-03-11T17:00:00</Finish>
+        <PredecessorLink><PredecessorUID>4</PredecessorUID><Type>1</Type><LinkLag>600</LinkLag><LagFormat>7</LagFormat></PredecessorLink></Task></Tasks>
+      <Resources><Resource><UID>3</UID><ID>7</ID><Name>R</Name><Type>1</Type></Resource></Resources>
+      <Assignments><Assignment><UID>1</UID><TaskUID>4</TaskUID><ResourceUID>3</ResourceUID></Assignment>
+        <Assignment><UID>2</UID><TaskUID>9</TaskUID><ResourceUID>3</ResourceUID></Assignment></Assignments></Project>`;
+    const first = msProjectToGantt(xml, { timeZone: 'UTC' });
+    const added = { id: 'new', resourceId: 'n', title: 'C', start: at(12, 8), end: at(12, 17) };
+    const out = ganttToMSProject([...first.tasks, added], [...first.resources, { id: 'n', name: 'N' }], { project: first.project, timeZone: 'UTC' });
+    const rows = (tag) => [...out.matchAll(new RegExp(`<${tag}><UID>(\\d+)</UID><ID>(\\d+)</ID><Name>([^<]*)`, 'g'))].map(m => m.slice(1).join(' '));
+    assert.deepEqual(rows('Task'), ['4 12 A', '9 30 B', '10 31 C']);
+    assert.deepEqual(rows('Resource'), ['3 7 R', '4 8 N']);
+
+    const again = msProjectToGantt(out, { timeZone: 'UTC' });
+    assert.deepEqual(again.tasks.map(t => [t.id, t.msProject.taskID]), [['4', '12'], ['9', '30'], ['10', '31']]);
+    assert.equal(+again.tasks[1].start, +at(11, 8));
+    assert.deepEqual(again.tasks[1].dependencies.map(d => [d.predecessorId, d.type, d.lag]), [['4', 'FS', 3600000]]);
+  });
+});
+
+describe('iCalendar', () => {
+  const icsResources = [{ id: 'r1', name: 'Ann, Site lead', email: 'ann@example.com' }, { id: 'r2', name: 'Ben' }];
+  const ics = (...events) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...events.flat(), 'END:VCALENDAR'].join('\r\n');
+  const hours = (a, b) => (b - a) / 3600000;
+
+  test('tasksToICS → icsToTasks keeps ids, dates, resources, titles and dependencies', () => {
+    const { tasks: normalized } = exportTaskData(undefined, [
+      { id: 't1', resourceId: 'r1', title: 'Pour slab; level 2, north', start: '2026-03-02T08:00:00Z', end: '2026-03-02T12:30:00Z' },
+      { id: 't2', resourceId: 'r2', title: 'Cure', start: '2026-03-02T13:00:00Z', end: '2026-03-04T13:00:00Z',
+        dependencies: [{ predecessorId: 't1', type: 'SS', lag: 1800000 }] },
+    ], icsResources);
+    const { tasks, errors } = icsToTasks(tasksToICS(normalized, icsResources), { resources: icsResources });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(tasks.map(t => [t.id, t.resourceId, t.title, t.start.toISOString(), t.end.toISOString()]), [
+      ['t1', 'r1', 'Pour slab; level 2, north', '2026-03-02T08:00:00.000Z', '2026-03-02T12:30:00.000Z'],
+      ['t2', 'r2', 'Cure', '2026-03-02T13:00:00.000Z', '2026-03-04T13:00:00.000Z'],
+    ]);
+    assert.deepEqual(tasks[1].dependencies, [{ predecessorId: 't1', type: 'SS', lag: 1800000 }]);
+  });
+
+  test('RRULE COUNT minus EXDATE keeps the wall-clock time across the DST switch', () => {
+    const text = ics('BEGIN:VEVENT', 'UID:standup', 'SUMMARY:Stand-up', 'DTSTART;TZID=Europe/Berlin:20260326T090000',
+                     'DTEND;TZID=Europe/Berlin:20260326T093000', 'RRULE:FREQ=DAILY;COUNT=5',
+                     'EXDATE;TZID=Europe/Berlin:20260328T090000', 'ATTENDEE;CN=Ben:urn:x-gantt-resource:r2', 'END:VEVENT');
+    const { tasks, errors } = icsToTasks(text, { resources: icsResources });
+    assert.deepEqual(errors, []);
+    // 09:00 in Berlin: 08:00Z in CET, 07:00Z from 29 March (CEST)
+    assert.deepEqual(tasks.map(t => t.start.toISOString()),
+                     ['2026-03-26T08:00:00.000Z', '2026-03-27T08:00:00.000Z', '2026-03-29T07:00:00.000Z', '2026-03-30T07:00:00.000Z']);
+    assert.ok(tasks.every(t => hours(t.start, t.end) === 0.5));
+    assert.deepEqual(tasks.map(t => t.id), ['standup/20260326T080000Z', 'standup/20260327T080000Z', 'standup/20260329T070000Z', 'standup/20260330T070000Z']);
+    assert.ok(tasks.every(t => t.resourceId === 'r2'));
+  });
+
+  test('an event spanning the DST switch keeps its real duration', () => {
+    const text = ics('BEGIN:VEVENT', 'UID:night', 'SUMMARY:Night shift', 'DTSTART;TZID=Europe/Berlin:20260328T220000',
+                     'DTEND;TZID=Europe/Berlin:20260329T040000', 'CATEGORIES:Ann\\, Site lead', 'END:VEVENT',
+                     'BEGIN:VEVENT', 'UID:day', 'SUMMARY:Whole day', 'DTSTART;TZID=Europe/Berlin:20260328T120000',
+                     'DURATION:P1D', 'X-GANTT-RESOURCE-ID:r1', 'END:VEVENT');
+    const { tasks, errors } = icsToTasks(text, { resources: icsResources });
+    assert.deepEqual(errors, []);
+    assert.equal(tasks[0].resourceId, 'r1');
+    assert.equal(tasks[0].start.toISOString(), '2026-03-28T21:00:00.000Z');
+    assert.equal(hours(tasks[0].start, tasks[0].end), 5); // 02:00–03:00 does not exist that night
+    assert.equal(hours(tasks[1].start, tasks[1].end), 23); // a calendar day, one hour short
+  });
+
+  test('broken events are reported with their line and skipped', () => {
+    const text = ics('BEGIN:VEVENT', 'UID:a', 'SUMMARY:Bad', 'DTSTART:20260230T090000Z', 'DTEND:20260301T090000Z', 'X-GANTT-RESOURCE-ID:r1', 'END:VEVENT',
+                     'BEGIN:VEVENT', 'UID:b', 'SUMMARY:Nobody', 'DTSTART:20260302T090000Z', 'DTEND:20260302T100000Z', 'END:VEVENT');
+    const { tasks, errors } = icsToTasks(text, { resources: icsResources });
+    assert.deepEqual(tasks, []);
+    assert.deepEqual(errors.map(e => e.line), [3, 10]);
+    assert.match(errors[0].message, /invalid DTSTART "20260230T090000Z"/);
+    assert.match(errors[1].message, /no ATTENDEE or CATEGORIES/);
+  });
+});
+
+describe('CSV', () => {
+  const csvResources = [{ id: 'r1', name: 'Ann' }, { id: 'r2', name: 'Ben "the crane", jr.' }];
+
+  test('tasksToCSV → csvToTasks keeps quoted fields, dates and dependencies', () => {
+    const { tasks: normalized } = exportTaskData(undefined, [
+      { id: 't1', resourceId: 'r2', title: 'Lift "A", then B\nsecond line', start: '2026-03-02T08:00:00Z', end: '2026-03-02T10:15:00Z' },
+      { id: 't2', resourceId: 'r1', title: 'Check; sign off', start: '2026-03-02T10:15:00Z', end: '2026-03-02T11:00:00Z',
+        dependencies: [{ predecessorId: 't1', type: 'FF', lag: 15 * 60000 }] },
+    ], csvResources);
+    const text = tasksToCSV(normalized, csvResources, { timeZone: 'Europe/Berlin' });
+    assert.match(text, /"Lift ""A"", then B\nsecond line"/);
+    const { tasks, errors } = csvToTasks(text, { resources: csvResources, timeZone: 'Europe/Berlin' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(tasks.map(t => [t.id, t.resourceId, t.title, t.start.toISOString(), t.end.toISOString()]), [
+      ['t1', 'r2', 'Lift "A", then B\nsecond line', '2026-03-02T08:00:00.000Z', '2026-03-02T10:15:00.000Z'],
+      ['t2', 'r1', 'Check; sign off', '2026-03-02T10:15:00.000Z', '2026-03-02T11:00:00.000Z'],
+    ]);
+    assert.deepEqual(tasks[1].dependencies, [{ predecessorId: 't1', type: 'FF', lag: 15 * 60000 }]);
+  });
+
+  test('rows with bad dates are rejected with their line, the rest import', () => {
+    const text = 'Title;Resource;Start;End\n"Multi\nline";Ann;2026-03-02 08:00;2026-03-02 09:00\nBad;Ann;2026-02-30 08:00;2026-03-02 09:00\n'
+               + 'Backwards;Ann;02.03.2026 10:00;02.03.2026 09:00\nWho;Zed;2026-03-02;2026-03-02\nAll day;r1;2026-03-03;2026-03-03\n';
+    const { tasks, errors } = csvToTasks(text, { resources: csvResources, timeZone: 'UTC' });
+    assert.deepEqual(tasks.map(t => [t.title, t.start.toISOString(), t.end.toISOString()]), [
+      ['Multi\nline', '2026-03-02T08:00:00.000Z', '2026-03-02T09:00:00.000Z'],
+      ['All day', '2026-03-03T00:00:00.000Z', '2026-03-04T00:00:00.000Z'],
+    ]);
+    assert.deepEqual(errors.map(e => e.message), [
+      'Line 4: invalid start date "2026-02-30 08:00"',
+      'Line 5: end "02.03.2026 09:00" is not after start "02.03.2026 10:00"',
+      'Line 6: unknown resource "Zed"',
+    ]);
+  });
+
+  test('missing required columns are reported instead of importing anything', () => {
+    const { tasks, errors } = csvToTasks('Title,Resource,Begin\nA,Ann,2026-03-02 08:00\n', { resources: csvResources });
+    assert.deepEqual(tasks, []);
+    assert.deepEqual(errors, [{ line: 1, message: 'Line 1: missing columns "Start", "End" (found: Title, Resource, Begin)' }]);
+    const mapped = csvToTasks('Title,Resource,Begin,Finish\nA,Ann,2026-03-02 08:00,2026-03-02 09:00\n',
+                              { resources: csvResources, columns: { start: 'Begin', end: 'Finish' }, timeZone: 'UTC' });
+    assert.deepEqual(mapped.errors, []);
+    assert.equal(mapped.tasks[0].start.toISOString(), '2026-03-02T08:00:00.000Z');
+  });
+});
+
+test('rows without an id take newId(line)', () => {
+  let n = 0;
+  const newId = () => `new-${++n}`;
+  const csv = csvToTasks('Resource,Start,End\nAnn,2026-03-02 08:00,2026-03-02 09:00\nAnn,2026-03-03 08:00,2026-03-03 09:00\n',
+                         { resources: [{ id: 'r1', name: 'Ann' }], newId });
+  assert.deepEqual(csv.tasks.map(t => t.id), ['new-1', 'new-2']);
+  const ics = icsToTasks('BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART:20260302T080000Z\r\nDTEND:20260302T090000Z\r\nCATEGORIES:Ann\r\nEND:VEVENT\r\nEND:VCALENDAR',
+                         { resources: [{ id: 'r1', name: 'Ann' }], newId });
+  assert.deepEqual(ics.tasks.map(t => t.id), ['new-3']);
+  assert.equal(csvToTasks('Resource,Start,End\nAnn,2026-03-02,2026-03-02\n', { resources: [{ id: 'r1', name: 'Ann' }] }).tasks[0].id, 'csv-2');
+});
@@ -0,0 +1,203 @@
+// Scheduling over plain tasks ({ id, start, end, resourceId, dependencies }): dependency checks, successor
+// propagation, the critical path and resource conflicts. No React, no DOM.
+import { addWorkingTime, nextWorkingTime, workingTimeBetween } from './time.js';
+
+// ---------- Scheduling ----------
+// Constraint: successor side >= predecessor side + lag
+export function isDependencyViolated(pred, succ, dep){
+  const from = dep.type[0] === 'F' ? pred.end : pred.start;
+  const to = dep.type[1] === 'S' ? succ.start : succ.end;
+  return to.getTime() < from.getTime() + (dep.lag || 0);
+}
+
+// Push the successors of `fixedIds` so every dependency holds (only ever later, never earlier).
+// Tasks keep their working duration under their resource's calendar. In warn mode nothing moves.
+// Returns { updates: Map id -> { start, end }, cycles: [[id, ..., id]], violations: [{ taskId, dependency }] }.
+export function scheduleSuccessors(tasks, fixedIds, { push = true, calendarFor = () => null } = {}){
+  const byId = new Map(tasks.map(t => [String(t.id), t]));
+  const succs = new Map(); // predecessorId -> successor tasks
+  for (const t of tasks){
+    for (const d of t.dependencies || []){
+      const k = String(d.predecessorId);
+      if (!byId.has(k)) continue;
+      let list = succs.get(k);
+      if (!list) succs.set(k, list = []);
+      list.push(t);
+    }
+  }
+
+  const { order, cycles, inCycle } = walkSuccessors(fixedIds, succs);
+  const fixed = new Set(fixedIds);
+  const updates = new Map();
+  const cur = (id) => {
+    const t = byId.get(String(id));
+    const u = t && updates.get(String(id));
+    return u ? { ...t, ...u } : t;
+  };
+
+  if (push){
+    for (const id of order){
+      if (fixed.has(id) || inCycle.has(id)) continue;
+      const t = byId.get(id);
+      let minStart = -Infinity, minEnd = -Infinity;
+      for (const d of t.dependencies || []){
+        const pred = cur(d.predecessorId);
+        if (!pred) continue;
+        const bound = (d.type[0] === 'F' ? pred.end : pred.start).getTime() + (d.lag || 0);
+        if (d.type[1] === 'S') minStart = Math.max(minStart, bound); else minEnd = Math.max(minEnd, bound);
+      }
+      let start = t.start.getTime(), end = t.end.getTime();
+      if (minStart <= start && minEnd <= end) continue;
+
+      let cal = calendarFor(t);
+      let work = cal ? workingTimeBetween(start, end, cal) : 0;
+      if (!work){ cal = null; work = end - start; } // task outside working time: keep its clock duration
+      if (minStart > start){
+        start = nextWorkingTime(minStart, cal);
+        end = addWorkingTime(start, work, cal);
+      }
+      if (minEnd > end){
+        end = minEnd;
+        start = addWorkingTime(end, -work, cal);
+      }
+      updates.set(id, { start: new Date(start), end: new Date(end) });
+    }
+  }
+
+  const violations = [];
+  for (const id of order){
+    const t = cur(id);
+    for (const d of t.dependencies || []){
+      const pred = cur(d.predecessorId);
+      if (pred && isDependencyViolated(pred, t, d)) violations.push({ taskId: t.id, dependency: d });
+    }
+  }
+  return { updates, cycles, violations };
+}
+
+// Iterative DFS over successors: topological order of everything reachable (back edges ignored)
+// plus the cycles those back edges close.
+function walkSuccessors(rootIds, succs){
+  const state = new Map(); // 1 = on the stack, 2 = done
+  const post = [], cycles = [], inCycle = new Set();
+  for (const root of rootIds){
+    if (state.has(root)) continue;
+    const stack = [[root, 0]];
+    state.set(root, 1);
+    while (stack.length){
+      const top = stack[stack.length-1];
+      const next = (succs.get(top[0]) || [])[top[1]++];
+      if (!next){ state.set(top[0], 2); post.push(top[0]); stack.pop(); continue; }
+      const id = String(next.id);
+      const st = state.get(id);
+      if (st === 1){
+        const cyc = stack.slice(stack.findIndex(f => f[0] === id)).map(f => f[0]);
+        cycles.push([...cyc, id]);
+        cyc.forEach(c => inCycle.add(c));
+      } else if (!st){
+        state.set(id, 1);
+        stack.push([id, 0]);
+      }
+    }
+  }
+  return { order: post.reverse(), cycles, inCycle };
+}
+
+// ---------- Critical path ----------
+// Forward/backward pass over the dependency network. A task starts no earlier than its own start
+// (tasks without predecessors stay where they are); tasks without successors may finish as late as
+// the project does. Tasks on a cycle are left out. All values are ms.
+export function computeCriticalPath(tasks){
+  const byTaskId = new Map(tasks.map(t => [String(t.id), t]));
+  const preds = new Map(), succs = new Map(), indeg = new Map();
+  for (const t of tasks){ preds.set(String(t.id), []); succs.set(String(t.id), []); indeg.set(String(t.id), 0); }
+  for (const t of tasks){
+    const id = String(t.id);
+    for (const d of t.dependencies || []){
+      const p = String(d.predecessorId);
+      if (!byTaskId.has(p) || p === id) continue;
+      preds.get(id).push({ id: p, dep: d });
+      succs.get(p).push({ id, dep: d });
+      indeg.set(id, indeg.get(id) + 1);
+    }
+  }
+
+  // Kahn's order; whatever never reaches in-degree 0 sits on (or behind) a cycle
+  const order = [];
+  for (const [id, n] of indeg) if (!n) order.push(id);
+  for (let i = 0; i < order.length; i++){
+    for (const s of succs.get(order[i])){
+      indeg.set(s.id, indeg.get(s.id) - 1);
+      if (!indeg.get(s.id)) order.push(s.id);
+    }
+  }
+
+  const dur = (id) => byTaskId.get(id).end - byTaskId.get(id).start;
+  const byId = new Map();
+  let projectStart = Infinity, projectFinish = -Infinity;
+  for (const id of order){
+    let es = byTaskId.get(id).start.getTime();
+    for (const { id: p, dep } of preds.get(id)){
+      const P = byId.get(p), lag = dep.lag || 0;
+      const from = dep.type[0] === 'F' ? P.earlyFinish : P.earlyStart;
+      es = Math.max(es, dep.type[1] === 'S' ? from + lag : from + lag - dur(id));
+    }
+    const ef = es + dur(id);
+    byId.set(id, { earlyStart: es, earlyFinish: ef });
+    projectStart = Math.min(projectStart, es);
+    projectFinish = Math.max(projectFinish, ef);
+  }
+  for (let i = order.length - 1; i >= 0; i--){
+    const id = order[i];
+    let lf = projectFinish;
+    for (const { id: s, dep } of succs.get(id)){
+      const S = byId.get(s), lag = dep.lag || 0;
+      const to = dep.type[1] === 'S' ? S.lateStart : S.lateFinish;
+      lf = Math.min(lf, dep.type[0] === 'F' ? to - lag : to - lag + dur(id));
+    }
+    const r = byId.get(id);
+    r.lateFinish = lf;
+    r.lateStart = lf - dur(id);
+    r.totalFloat = r.lateStart - r.earlyStart;
+    r.critical = r.totalFloat <= 0;
+  }
+  return { byId, order, projectStart, projectFinish, skipped: tasks.length - order.length };
+}
+
+// The callback shape: Dates instead of ms, critical tasks in dependency order
+export function criticalPathResult({ byId, order, projectStart, projectFinish, skipped }){
+  const tasks = order.map(id => {
+    const r = byId.get(id);
+    return { id, earlyStart: new Date(r.earlyStart), earlyFinish: new Date(r.earlyFinish),
+             lateStart: new Date(r.lateStart), lateFinish: new Date(r.lateFinish), totalFloat: r.totalFloat, critical: r.critical };
+  });
+  return {
+    tasks,
+    criticalPath: tasks.filter(t => t.critical).map(t => t.id),
+    projectStart: order.length ? new Date(projectStart) : null,
+    projectFinish: order.length ? new Date(projectFinish) : null,
+    skippedOnCycles: skipped,
+  };
+}
+
+// ---------- Resource conflicts ----------
+// Sweep one resource's tasks: whenever a task starts while `capacity` others are running, it
+// conflicts with each of them. Returns { pairs: [{ taskIds, start, end }], ids: Set of task ids }.
+export const NO_CONFLICTS = { pairs: [], ids: new Set() };
+
+export function findConflicts(tasks, capacity){
+  const sorted = tasks.slice().sort((a,b) => a.start - b.start || a.end - b.end);
+  let active = [];
+  const pairs = [], ids = new Set();
+  for (const t of sorted){
+    active = active.filter(a => a.end > t.start);
+    if (active.length >= capacity){
+      for (const a of active){
+        pairs.push({ taskIds: [a.id, t.id], start: new Date(t.start), end: new Date(Math.min(a.end, t.end)) });
+        ids.add(String(a.id)); ids.add(String(t.id));
+      }
+    }
+    active.push(t);
+  }
+  return pairs.length ? { pairs, ids } : NO_CONFLICTS;
+}
@@ -0,0 +1,126 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  computeCriticalPath, criticalPathResult, findConflicts, isDependencyViolated, NO_CONFLICTS, scheduleSuccessors
+} from './scheduling.js';
+import { calendarOf, makeZone } from './time.js';
+
+const H = 3600000;
+const at = (h) => new Date(Date.UTC(2026, 2, 2) + h * H); // hours after 2 March 2026 00:00 UTC
+const task = (id, startH, endH, dependencies = []) => ({ id, resourceId: 'r1', start: at(startH), end: at(endH), dependencies });
+const dep = (predecessorId, type = 'FS', lagH = 0) => ({ predecessorId, type, lag: lagH * H });
+const hours = (u) => [(u.start - at(0)) / H, (u.end - at(0)) / H];
+
+describe('scheduleSuccessors', () => {
+  test('pushes FS, SS and FF successors by their lag and leaves satisfied ones alone', () => {
+    const tasks = [
+      task('a', 8, 12),
+      task('fs', 10, 14, [dep('a', 'FS', 2)]),  // start >= 12 + 2
+      task('ss', 9, 10, [dep('a', 'SS', 3)]),   // start >= 8 + 3
+      task('ff', 9, 11, [dep('a', 'FF', 1)]),   // end >= 12 + 1
+      task('ok', 20, 21, [dep('a', 'FS')]),
+    ];
+    const { updates, cycles, violations } = scheduleSuccessors(tasks, ['a']);
+    assert.deepEqual(hours(updates.get('fs')), [14, 18]);
+    assert.deepEqual(hours(updates.get('ss')), [11, 12]);
+    assert.deepEqual(hours(updates.get('ff')), [11, 13]);
+    assert.equal(updates.has('ok'), false);
+    assert.equal(updates.has('a'), false);
+    assert.deepEqual(cycles, []);
+    assert.deepEqual(violations, []);
+  });
+
+  test('propagates down a chain', () => {
+    const tasks = [task('a', 8, 16), task('b', 10, 12, [dep('a')]), task('c', 12, 15, [dep('b', 'FS', 1)])];
+    const { updates } = scheduleSuccessors(tasks, ['a']);
+    assert.deepEqual(hours(updates.get('b')), [16, 18]);
+    assert.deepEqual(hours(updates.get('c')), [19, 22]);
+  });
+
+  test('keeps the working duration under a calendar', () => {
+    const cal = calendarOf(null, { workDays: [1, 2, 3, 4, 5], dayStart: 8, dayEnd: 17 }, makeZone('UTC'));
+    // Monday 2 March: b needs 4 working hours and may only start after a (ends 15:00)
+    const tasks = [task('a', 8, 15), task('b', 9, 13, [dep('a')])];
+    const { updates } = scheduleSuccessors(tasks, ['a'], { calendarFor: () => cal });
+    assert.deepEqual(hours(updates.get('b')), [15, 24 + 10]); // 15–17 Monday, 8–10 Tuesday
+  });
+
+  test('warn mode moves nothing and reports the violations', () => {
+    const tasks = [task('a', 8, 12), task('b', 10, 14, [dep('a')])];
+    const { updates, violations } = scheduleSuccessors(tasks, ['a'], { push: false });
+    assert.equal(updates.size, 0);
+    assert.deepEqual(violations.map(v => [v.taskId, v.dependency.predecessorId]), [['b', 'a']]);
+  });
+
+  test('reports cycles and leaves the tasks on them in place', () => {
+    const tasks = [task('a', 8, 12), task('b', 10, 11, [dep('a'), dep('c')]), task('c', 11, 12, [dep('b')])];
+    const { updates, cycles } = scheduleSuccessors(tasks, ['a']);
+    assert.deepEqual(cycles, [['b', 'c', 'b']]);
+    assert.equal(updates.size, 0);
+  });
+});
+
+test('isDependencyViolated compares the linked sides plus the lag', () => {
+  const a = task('a', 8, 12), b = task('b', 13, 14);
+  assert.equal(isDependencyViolated(a, b, dep('a', 'FS', 1)), false);
+  assert.equal(isDependencyViolated(a, b, dep('a', 'FS', 2)), true);
+  assert.equal(isDependencyViolated(a, b, dep('a', 'SS', 5)), false);
+  assert.equal(isDependencyViolated(a, b, dep('a', 'FF', 3)), true);
+});
+
+describe('computeCriticalPath', () => {
+  // a → b → d is the long branch of the diamond, a → c → d has 3 h to spare
+  const diamond = [
+    task('a', 8, 10),
+    task('b', 10, 14, [dep('a')]),
+    task('c', 10, 11, [dep('a')]),
+    task('d', 14, 16, [dep('b'), dep('c')]),
+  ];
+
+  test('total float on a diamond network', () => {
+    const { byId, projectStart, projectFinish, skipped } = computeCriticalPath(diamond);
+    assert.deepEqual(['a', 'b', 'c', 'd'].map(id => byId.get(id).totalFloat / H), [0, 0, 3, 0]);
+    assert.deepEqual(['a', 'b', 'c', 'd'].map(id => byId.get(id).critical), [true, true, false, true]);
+    assert.equal(byId.get('c').lateStart, +at(13));
+    assert.equal(byId.get('c').lateFinish, +at(14));
+    assert.equal(projectStart, +at(8));
+    assert.equal(projectFinish, +at(16));
+    assert.equal(skipped, 0);
+  });
+
+  test('lags count towards the path and free ends float to the project finish', () => {
+    const tasks = [task('a', 8, 10), task('b', 12, 13, [dep('a', 'FS', 2)]), task('c', 9, 11, [dep('a', 'SS', 1)])];
+    const { byId } = computeCriticalPath(tasks);
+    assert.deepEqual(['a', 'b', 'c'].map(id => byId.get(id).totalFloat / H), [0, 0, 2]);
+  });
+
+  test('tasks on a cycle are skipped', () => {
+    const tasks = [...diamond, task('x', 8, 9, [dep('y')]), task('y', 9, 10, [dep('x')])];
+    const result = criticalPathResult(computeCriticalPath(tasks));
+    assert.equal(result.skippedOnCycles, 2);
+    assert.deepEqual(result.criticalPath, ['a', 'b', 'd']);
+    assert.ok(result.projectFinish instanceof Date);
+    assert.equal(+result.projectFinish, +at(16));
+    assert.equal(result.tasks.find(t => t.id === 'c').totalFloat, 3 * H);
+  });
+});
+
+describe('findConflicts', () => {
+  test('overlapping tasks of one resource conflict over their shared interval, touching ones do not', () => {
+    const { pairs, ids } = findConflicts([task('a', 8, 12), task('b', 11, 14), task('c', 14, 15)], 1);
+    assert.deepEqual(pairs.map(p => [p.taskIds, (p.start - at(0)) / H, (p.end - at(0)) / H]), [[['a', 'b'], 11, 12]]);
+    assert.deepEqual([...ids].sort(), ['a', 'b']);
+  });
+
+  test('capacity allows that many tasks at once', () => {
+    const tasks = [task('c', 10, 11), task('a', 8, 12), task('b', 9, 13)];
+    assert.equal(findConflicts(tasks.slice(1), 2), NO_CONFLICTS);
+    const { pairs } = findConflicts(tasks, 2);
+    assert.deepEqual(pairs.map(p => p.taskIds), [['a', 'c'], ['b', 'c']]);
+  });
+
+  test('a resource without overlaps shares the empty result', () => {
+    assert.equal(findConflicts([task('a', 8, 9), task('b', 9, 10)], 1), NO_CONFLICTS);
+    assert.equal(findConflicts([], 1), NO_CONFLICTS);
+  });
+});
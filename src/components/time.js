@@ -0,0 +1,230 @@
+// Time constants, wall-clock math in a chart zone (IANA name or the browser's local time) and working calendars.
+// Shared by the chart and the data interchange readers/writers.
+
+export const MINUTE_MS = 60 * 1000;
+export const HOUR_MS = 60 * MINUTE_MS;
+export const DAY_MS = 24 * HOUR_MS;
+
+export function pad2(n){ return String(n).padStart(2,'0'); }
+
+// ---------- Time zones ----------
+// A zone reads an instant's wall-clock fields (get) and builds an instant from them (make). Fields
+// overflow like the Date constructor's (date 0 = last day of the previous month); a wall time that DST
+// skips lands just after the gap.
+export const LOCAL_ZONE = {
+  name: null,
+  get(d){
+    const x = new Date(d);
+    return { year: x.getFullYear(), month: x.getMonth(), date: x.getDate(), day: x.getDay(),
+             hours: x.getHours(), minutes: x.getMinutes(), seconds: x.getSeconds(), ms: x.getMilliseconds() };
+  },
+  make(y, mo, d = 1, h = 0, mi = 0, s = 0, ms = 0){ return new Date(y, mo, d, h, mi, s, ms); },
+};
+const zoneCache = new Map();
+
+// IANA zone via Intl; unknown names throw a RangeError like Intl does
+export function makeZone(timeZone){
+  if (!timeZone) return LOCAL_ZONE;
+  let z = zoneCache.get(timeZone);
+  if (z) return z;
+  const fmt = new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric',
+                                                 day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' });
+  // the zone's wall clock at t, written as a UTC timestamp
+  const wall = (t) => {
+    const p = {};
+    for (const { type, value } of fmt.formatToParts(t)) p[type] = Number(value);
+    return Date.UTC(p.year, p.month-1, p.day, p.hour, p.minute, p.second) + ((t % 1000) + 1000) % 1000;
+  };
+  z = {
+    name: timeZone,
+    get(d){
+      const w = new Date(wall(+d));
+      return { year: w.getUTCFullYear(), month: w.getUTCMonth(), date: w.getUTCDate(), day: w.getUTCDay(),
+               hours: w.getUTCHours(), minutes: w.getUTCMinutes(), seconds: w.getUTCSeconds(), ms: w.getUTCMilliseconds() };
+    },
+    make(y, mo, d = 1, h = 0, mi = 0, s = 0, ms = 0){
+      const w = Date.UTC(y, mo, d, h, mi, s, ms);
+      let t = w - (wall(w) - w);  // first guess with the offset at w
+      t = w - (wall(t) - t);      // settle on the offset at the result
+      return new Date(t);
+    },
+  };
+  zoneCache.set(timeZone, z);
+  return z;
+}
+
+// ---------- Date helpers ----------
+export const MIN_TASK_MS = 60 * 1000; // a committed task is never shorter than one minute
+
+// Wall-clock helpers take an optional zone (default: the browser's local time)
+export function startOfDay(d, z = LOCAL_ZONE){ const p = z.get(d); return z.make(p.year, p.month, p.date); }
+export function startOfISOWeek(d, z = LOCAL_ZONE){ const p = z.get(d); return z.make(p.year, p.month, p.date - (p.day+6)%7); }
+export function startOfMonth(d, z = LOCAL_ZONE){ const p = z.get(d); return z.make(p.year, p.month, 1); }
+export function startOfQuarter(d, z = LOCAL_ZONE){ const p = z.get(d); return z.make(p.year, p.month - p.month%3, 1); }
+export function addHours(d,h){ const x=new Date(d); x.setTime(x.getTime()+h*3600*1000); return x; }
+export function addDays(d, dy, z = LOCAL_ZONE){ const p = z.get(d); return z.make(p.year, p.month, p.date+dy, p.hours, p.minutes, p.seconds, p.ms); }
+export function addMonths(d, m, z = LOCAL_ZONE){ const p = z.get(d); return z.make(p.year, p.month+m, p.date, p.hours, p.minutes); }
+
+// 'YYYY-MM-DD' and 'YYYY-Www' (ISO week, the <input type="week"> format)
+export function toDayString(d, z = LOCAL_ZONE){ const p = z.get(d); return `${p.year}-${pad2(p.month+1)}-${pad2(p.date)}`; }
+export function parseDayString(s, z = LOCAL_ZONE){ const [y,m,d] = String(s).split('-').map(Number); return z.make(y||1970, (m||1)-1, d||1); }
+export function toISOWeekString(d, z = LOCAL_ZONE){
+  const thu = addDays(startOfISOWeek(d, z), 3, z); // a week belongs to the year of its Thursday
+  const year = z.get(thu).year;
+  const week1 = startOfISOWeek(z.make(year, 0, 4), z);
+  const week = 1 + Math.round((startOfISOWeek(d, z) - week1) / (7*86400000));
+  return `${year}-W${pad2(week)}`;
+}
+export function parseISOWeekString(s, z = LOCAL_ZONE){
+  const m = /^(\d{4})-W(\d{2})$/.exec(String(s||''));
+  if (!m) return null;
+  return addDays(startOfISOWeek(z.make(Number(m[1]), 0, 4), z), (Number(m[2])-1)*7, z);
+}
+
+export function fmtDateTime(d, z = LOCAL_ZONE){
+  const p = z.get(d);
+  return `${pad2(p.date)}.${pad2(p.month+1)}.${p.year} ${pad2(p.hours)}:${pad2(p.minutes)}`;
+}
+
+// ---------- Working calendars ----------
+// {
+//   workDays: [1,2,3,4,5],          // 0 = Sunday
+//   dayStart: 8, dayEnd: 17,        // local hours (fractions allowed: 8.5 = 08:30)
+//   hours: { 5: [8, 12] },          // per-weekday override of dayStart/dayEnd
+//   holidays: ['YYYY-MM-DD'],
+//   exceptions: [{ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', dayStart?, dayEnd? }], // no hours = day off (vacation)
+// }
+// A resource.calendar refines the chart calendar: plain fields override, holidays/exceptions add up.
+// No calendar at all = every instant is working time (only weekends are shaded).
+// Hours and dates are read in the chart's zone, which the normalized calendar carries along.
+const CALENDAR_MAX_DAYS = 3660; // give up scanning after ten years without working time
+const calendarCache = new WeakMap(); // own (or base) calendar object -> Map(base -> Map(zone -> normalized))
+
+export function calendarOf(resource, base, zone = LOCAL_ZONE){
+  const own = resource?.calendar;
+  if (!own && !base) return null;
+  const key = own || base, baseKey = own ? (base || null) : null;
+  let byBase = calendarCache.get(key);
+  if (!byBase) calendarCache.set(key, byBase = new Map());
+  let byZone = byBase.get(baseKey);
+  if (!byZone) byBase.set(baseKey, byZone = new Map());
+  let cal = byZone.get(zone);
+  if (!cal){
+    const c = own && base ? { ...base, ...own, hours: { ...base.hours, ...own.hours },
+                              holidays: [...(base.holidays || []), ...(own.holidays || [])],
+                              exceptions: [...(base.exceptions || []), ...(own.exceptions || [])] } : key;
+    cal = {
+      workDays: new Set(c.workDays ?? [1,2,3,4,5]),
+      dayStart: c.dayStart ?? 8, dayEnd: c.dayEnd ?? 17,
+      hours: c.hours || {},
+      holidays: new Set((c.holidays || []).map(String)),
+      // later entries win, so a resource's exceptions beat the chart's
+      exceptions: (c.exceptions || []).map(e => ({ from: String(e.from), to: String(e.to ?? e.from),
+        hours: e.dayStart != null && e.dayEnd != null ? [e.dayStart, e.dayEnd] : null })).reverse(),
+      zone,
+    };
+    byZone.set(zone, cal);
+  }
+  return cal;
+}
+
+// [start, end] ms of the working hours on `day` (local midnight), or null
+function workingSpan(day, cal){
+  const z = cal.zone, p = z.get(day);
+  const ds = toDayString(day, z);
+  const ex = cal.exceptions.find(e => ds >= e.from && ds <= e.to);
+  let hours;
+  if (ex){
+    if (!ex.hours) return null;
+    hours = ex.hours;
+  } else {
+    if (!cal.workDays.has(p.day) || cal.holidays.has(ds)) return null;
+    hours = cal.hours[p.day] || [cal.dayStart, cal.dayEnd];
+  }
+  const s = z.make(p.year, p.month, p.date, 0, Math.round(hours[0]*60));
+  const e = z.make(p.year, p.month, p.date, 0, Math.round(hours[1]*60));
+  return e > s ? [s.getTime(), e.getTime()] : null;
+}
+
+// Non-working [start, end] ms bands over [t0, t1); without hours only whole days off count
+export function nonWorkingBands(t0, t1, cal, withHours, zone = LOCAL_ZONE){
+  const z = cal ? cal.zone : zone;
+  const out = [];
+  const add = (s, e) => {
+    const last = out[out.length-1];
+    if (last && last[1] === s) last[1] = e; else out.push([s, e]);
+  };
+  for (let d = startOfDay(t0, z); +d < t1; ){
+    const next = addDays(d, 1, z);
+    const span = cal ? workingSpan(d, cal) : (z.get(d).day % 6 === 0 ? null : [+d, +next]);
+    if (!span) add(+d, +next);
+    else if (withHours){
+      if (span[0] > +d) add(+d, span[0]);
+      if (span[1] < +next) add(span[1], +next);
+    }
+    d = next;
+  }
+  return out;
+}
+
+// First working weekday (Mon = 0) and the span to the last one, for the 'Work Week' preset
+export function workWeekOf(cal){
+  const days = [...(cal ? cal.workDays : [1,2,3,4,5])].map(wd => (wd + 6) % 7);
+  if (!days.length) return { first: 0, days: 7 };
+  const first = Math.min(...days);
+  return { first, days: Math.max(...days) - first + 1 };
+}
+
+// Latest working instant at or before t
+export function prevWorkingTime(t, cal){
+  if (!cal) return t;
+  let day = startOfDay(t, cal.zone);
+  for (let i = 0; i < CALENDAR_MAX_DAYS; i++, day = addDays(day, -1, cal.zone)){
+    const span = workingSpan(day, cal);
+    if (span && t > span[0]) return Math.min(t, span[1]);
+  }
+  return t;
+}
+
+export function nextWorkingTime(t, cal){
+  if (!cal) return t;
+  let day = startOfDay(t, cal.zone);
+  for (let i = 0; i < CALENDAR_MAX_DAYS; i++, day = addDays(day, 1, cal.zone)){
+    const span = workingSpan(day, cal);
+    if (span && t < span[1]) return Math.max(t, span[0]);
+  }
+  return t;
+}
+
+// Move from t by ms of working time (negative = backwards)
+export function addWorkingTime(t, ms, cal){
+  if (!cal || !ms) return t + ms;
+  const dir = ms > 0 ? 1 : -1;
+  let left = Math.abs(ms), cur = t;
+  let day = startOfDay(t, cal.zone);
+  for (let i = 0; i < CALENDAR_MAX_DAYS; i++){
+    const span = workingSpan(day, cal);
+    if (span){
+      const from = dir > 0 ? Math.max(cur, span[0]) : Math.min(cur, span[1]);
+      const avail = dir > 0 ? span[1] - from : from - span[0];
+      if (avail > 0){
+        if (left <= avail) return from + dir*left;
+        left -= avail;
+      }
+    }
+    day = addDays(day, dir, cal.zone);
+    cur = dir > 0 ? day.getTime() : addDays(day, 1, cal.zone).getTime();
+  }
+  return t + ms;
+}
+
+export function workingTimeBetween(a, b, cal){
+  if (!cal) return b - a;
+  let sum = 0;
+  let day = startOfDay(a, cal.zone);
+  for (let i = 0; i < CALENDAR_MAX_DAYS && day.getTime() < b; i++, day = addDays(day, 1, cal.zone)){
+    const span = workingSpan(day, cal);
+    if (span) sum += Math.max(0, Math.min(b, span[1]) - Math.max(a, span[0]));
+  }
+  return sum;
+}